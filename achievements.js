@@ -0,0 +1,229 @@
+// achievements.js
+import fs from "fs";
+
+/**
+ * Achievements / badges
+ *
+ * Rules live in a data file (achievements.json by default): { achievements: [{ id, name,
+ * description, type, threshold }] }. Each type is checked either after every counted play
+ * or when a period is paid:
+ *   play    score        single-run score >= threshold
+ *           kills        single-run kills >= threshold
+ *           combo        single-run best hit streak >= threshold
+ *           games_played total games >= threshold
+ *           total_kills  total kills >= threshold
+ *           day_streak   counted plays on >= threshold consecutive UTC days (ending today)
+ *   period  period_rank  rank <= threshold among the eligible players of a paid period's board
+ * Unlocks are stored once per (address, achievement) with the time and what triggered them.
+ * Removing a rule from the file hides its unlocks; ids should never be reused.
+ *
+ * Exports:
+ *  - ACHIEVEMENT_TYPES
+ *  - loadAchievementRules(file)
+ *  - ensureAchievementsTable(pool)
+ *  - evaluatePlayAchievements(pool, db, rules, address, play)
+ *  - evaluatePeriodAchievements(pool, rules, periodIndex, board)
+ *  - getPlayerAchievements(pool, rules, address)
+ *  - achievementCatalog(pool, rules)
+ */
+
+// type -> trigger
+export const ACHIEVEMENT_TYPES = {
+  score: "play",
+  kills: "play",
+  combo: "play",
+  games_played: "play",
+  total_kills: "play",
+  day_streak: "play",
+  period_rank: "period"
+};
+
+// Read and validate the rules file (throws on an invalid file, so startup fails loudly)
+export function loadAchievementRules(file) {
+  const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  const list = Array.isArray(parsed) ? parsed : parsed.achievements;
+  if (!Array.isArray(list)) throw new Error(`${file}: expected { achievements: [...] }`);
+
+  const seen = new Set();
+  return list.map((r, i) => {
+    const id = String(r.id ?? "").trim();
+    if (!/^[a-z0-9_]{1,64}$/.test(id)) throw new Error(`${file}: achievement #${i} has an invalid id "${r.id}"`);
+    if (seen.has(id)) throw new Error(`${file}: duplicate achievement id "${id}"`);
+    seen.add(id);
+    if (!ACHIEVEMENT_TYPES[r.type]) {
+      throw new Error(`${file}: achievement "${id}" has unknown type "${r.type}" (one of ${Object.keys(ACHIEVEMENT_TYPES).join(", ")})`);
+    }
+    const threshold = Number(r.threshold);
+    if (!Number.isInteger(threshold) || threshold < 1) throw new Error(`${file}: achievement "${id}" needs a positive integer threshold`);
+    return {
+      id,
+      name: String(r.name || id),
+      description: String(r.description || ""),
+      type: r.type,
+      trigger: ACHIEVEMENT_TYPES[r.type],
+      threshold
+    };
+  });
+}
+
+// ----------------------- Schema -----------------------
+export async function ensureAchievementsTable(pool) {
+  const sql = `
+CREATE TABLE IF NOT EXISTS player_achievements (
+  user_address TEXT NOT NULL,
+  achievement_id TEXT NOT NULL,
+  unlocked_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  period_index BIGINT,
+  context JSONB,
+  PRIMARY KEY (user_address, achievement_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_achievements_achievement_id
+  ON player_achievements (achievement_id);
+  `;
+  try {
+    await pool.query(sql);
+    console.log("✅ player_achievements table ensured (exists or created).");
+  } catch (err) {
+    console.error("❌ Failed to ensure player_achievements table:", err);
+    throw err;
+  }
+}
+
+// ----------------------- Unlocking -----------------------
+// unlocks: [{ address, rule, periodIndex, context }]; returns the ones that were new
+async function unlock(pool, unlocks) {
+  const fresh = [];
+  for (const u of unlocks) {
+    const r = await pool.query(
+      `INSERT INTO player_achievements(user_address, achievement_id, period_index, context)
+       VALUES($1, $2, $3, $4)
+       ON CONFLICT (user_address, achievement_id) DO NOTHING
+       RETURNING unlocked_at`,
+      [u.address, u.rule.id, u.periodIndex === null || u.periodIndex === undefined ? null : String(u.periodIndex), JSON.stringify(u.context || {})]
+    );
+    if (r.rowCount) {
+      console.log(`🏅 Achievement "${u.rule.id}" unlocked by ${u.address}`);
+      fresh.push({ ...publicRule(u.rule), unlocked_at: new Date(r.rows[0].unlocked_at).toISOString() });
+    }
+  }
+  return fresh;
+}
+
+async function unlockedIds(pool, address) {
+  const r = await pool.query(`SELECT achievement_id FROM player_achievements WHERE user_address = $1`, [address]);
+  return new Set(r.rows.map(row => row.achievement_id));
+}
+
+// Consecutive UTC days with a counted play, counting back from today (0 if none today)
+async function currentDayStreak(pool, address, maxDays) {
+  const r = await pool.query(
+    `SELECT DISTINCT (created_at AT TIME ZONE 'UTC')::date::text AS day
+     FROM verified_plays
+     WHERE user_address = $1 AND review_status IN ('clean', 'approved')
+       AND created_at >= now() - make_interval(days => $2)
+     ORDER BY day DESC`,
+    [address, maxDays + 1]
+  );
+  const days = new Set(r.rows.map(row => row.day));
+  let streak = 0;
+  const d = new Date();
+  while (days.has(d.toISOString().slice(0, 10))) {
+    streak++;
+    d.setUTCDate(d.getUTCDate() - 1);
+  }
+  return streak;
+}
+
+// After a counted play. play: { score, periodIndex, stats: { kills, maxCombo } }; totals are
+// read from db.scores, so call this after the score has been recorded.
+// Returns the achievements unlocked by this play.
+export async function evaluatePlayAchievements(pool, db, rules, address, play) {
+  const addr = String(address).toLowerCase();
+  const pending = rules.filter(r => r.trigger === "play");
+  if (!pending.length) return [];
+  const have = await unlockedIds(pool, addr);
+  const todo = pending.filter(r => !have.has(r.id));
+  if (!todo.length) return [];
+
+  const totals = db.scores?.[addr] || {};
+  const values = {
+    score: Number(play.score || 0),
+    kills: Number(play.stats?.kills || 0),
+    combo: Number(play.stats?.maxCombo || 0),
+    games_played: Number(totals.games_played || 0),
+    total_kills: Number(totals.total_kills || 0)
+  };
+  const streakRules = todo.filter(r => r.type === "day_streak");
+  if (streakRules.length) {
+    values.day_streak = await currentDayStreak(pool, addr, Math.max(...streakRules.map(r => r.threshold)));
+  }
+
+  const unlocks = todo
+    .filter(r => values[r.type] >= r.threshold)
+    .map(rule => ({ address: addr, rule, periodIndex: play.periodIndex, context: { [rule.type]: values[rule.type] } }));
+  return unlock(pool, unlocks);
+}
+
+// When a period is paid. board: the ranked board it was paid from ({ user_address, rank, eligible }).
+// Like season points, only eligible players count: each is re-ranked among them (ties on the
+// board stay tied). Returns the new unlocks.
+export async function evaluatePeriodAchievements(pool, rules, periodIndex, board) {
+  const periodRules = rules.filter(r => r.trigger === "period");
+  if (!periodRules.length || !board?.length) return [];
+
+  const ranked = board.filter(p => p.eligible !== false).sort((a, b) => a.rank - b.rank);
+  const unlocks = [];
+  let rank = 0;
+  for (let i = 0; i < ranked.length; i++) {
+    const entry = ranked[i];
+    if (i === 0 || entry.rank !== ranked[i - 1].rank) rank = i + 1;
+    for (const rule of periodRules) {
+      if (rule.type === "period_rank" && rank <= rule.threshold) {
+        unlocks.push({ address: String(entry.user_address).toLowerCase(), rule, periodIndex, context: { rank } });
+      }
+    }
+  }
+  return unlock(pool, unlocks);
+}
+
+// ----------------------- Reads -----------------------
+function publicRule(rule) {
+  return { id: rule.id, name: rule.name, description: rule.description, type: rule.type, trigger: rule.trigger, threshold: rule.threshold };
+}
+
+// Unlocked achievements (rules still in the file), oldest first
+export async function getPlayerAchievements(pool, rules, address) {
+  const byId = new Map(rules.map(r => [r.id, r]));
+  const r = await pool.query(
+    `SELECT achievement_id, unlocked_at, period_index
+     FROM player_achievements WHERE user_address = $1
+     ORDER BY unlocked_at ASC, achievement_id ASC`,
+    [String(address).toLowerCase()]
+  );
+  return r.rows
+    .filter(row => byId.has(row.achievement_id))
+    .map(row => ({
+      ...publicRule(byId.get(row.achievement_id)),
+      unlocked_at: new Date(row.unlocked_at).toISOString(),
+      period_index: row.period_index === null ? null : Number(row.period_index)
+    }));
+}
+
+// Every rule with how many players have unlocked it
+export async function achievementCatalog(pool, rules) {
+  const r = await pool.query(`SELECT achievement_id, COUNT(*)::int AS n FROM player_achievements GROUP BY achievement_id`);
+  const counts = new Map(r.rows.map(row => [row.achievement_id, row.n]));
+  return rules.map(rule => ({ ...publicRule(rule), unlocked_by: counts.get(rule.id) || 0 }));
+}
+
+// ----------------------- Exports -----------------------
+export default {
+  ACHIEVEMENT_TYPES,
+  loadAchievementRules,
+  ensureAchievementsTable,
+  evaluatePlayAchievements,
+  evaluatePeriodAchievements,
+  getPlayerAchievements,
+  achievementCatalog
+};
@@ -2,12 +2,24 @@
 import bcrypt from "bcryptjs";
 import crypto from "crypto";
 import { ethers } from "ethers";
+import { SCOPES, createApiKey, listApiKeys, revokeApiKey } from "./ingestAuth.js";
+import { createSeason, listSeasons } from "./seasons.js";
+import { computePeriod, DEFAULT_HOUSE_SPLIT_BPS } from "./leaderboard.js";
+import { getPayoutRun } from "./payoutRuns.js";
+import {
+  validatePayoutStrategy,
+  strategyShares,
+  loadPayoutSchedule,
+  payoutStrategyFor,
+  schedulePayoutStrategy
+} from "./payoutStrategy.js";
 
 
 export default function registerAdminRoutes(app, db, opts = {}) {
   const ADMIN_SECRET = opts.adminSecret ?? null;
   const pool = opts.pool;
   const SESSION_TTL_MS = opts.sessionTtlMs ?? 60 * 60 * 1000; // 1 hour
+  const DURATION_MS = opts.durationMs ?? 3600000;
 
   if (!pool) throw new Error("registerAdminRoutes requires opts.pool (pg Pool)");
 
@@ -405,6 +417,15 @@ app.get("/admin/db-view", async (req, res) => {
 
       contractInfo.playerDeposits = playerDeposits;
       contractInfo.hasPaidStatus = hasPaidStatus;
+
+      // --- House wallets (payHouse recipients) ---
+      try {
+        contractInfo.houseWallet1 = String(await contract.houseWallet1?.() ?? "N/A");
+        contractInfo.houseWallet2 = String(await contract.houseWallet2?.() ?? "N/A");
+      } catch (err) {
+        console.error("Error fetching house wallets:", err);
+        contractInfo.houseWallet1 = contractInfo.houseWallet2 = "Error";
+      }
     } catch (err) {
       console.error("Contract info fetch failed:", err);
       contractInfo = { balance: "Error", playerDeposits: {}, hasPaidStatus: {} };
@@ -417,6 +438,16 @@ app.get("/admin/db-view", async (req, res) => {
     [{ "Contract Balance (ETH)": contractInfo.balance }]
   );
 
+  // share of each period's house fee per wallet (opts.houseSplitBps, see computeWinnersFromOffchain)
+  const split1Bps = opts.houseSplitBps ?? DEFAULT_HOUSE_SPLIT_BPS;
+  const houseTable = buildTable(
+    ["wallet", "address", "share"],
+    [
+      { wallet: "houseWallet1", address: contractInfo.houseWallet1 || "N/A", share: `${split1Bps / 100}%` },
+      { wallet: "houseWallet2", address: contractInfo.houseWallet2 || "N/A", share: `${(10000 - split1Bps) / 100}%` },
+    ]
+  );
+
   const paymentsRows = Object.keys(contractInfo.playerDeposits).map((addr) => ({
     player: addr,
     deposit: contractInfo.playerDeposits[addr],
@@ -443,11 +474,14 @@ app.get("/admin/db-view", async (req, res) => {
     status: p.status || "",
     txHash: p.txHash || "",
     payouts: p.payouts ? JSON.stringify(p.payouts, null, 0) : "",
+    houseTxHash: p.houseTxHash || "",
+    house1: p.housePayout ? ethers.formatEther(BigInt(p.housePayout.amount1 || 0)) : "",
+    house2: p.housePayout ? ethers.formatEther(BigInt(p.housePayout.amount2 || 0)) : "",
     error: p.error || "",
     updated_at: p.updated_at || "",
   }));
   const periodsTable = buildTable(
-    ["periodIndex", "status", "txHash", "payouts", "error", "updated_at"],
+    ["periodIndex", "status", "txHash", "payouts", "houseTxHash", "house1", "house2", "error", "updated_at"],
     periodRows
   );
 
@@ -457,6 +491,92 @@ app.get("/admin/db-view", async (req, res) => {
   }));
   const profileTable = buildTable(["normalized_name", "owner_address"], profileRows);
 
+  let apiKeys = [];
+  try {
+    apiKeys = await listApiKeys(pool);
+  } catch (err) {
+    console.error("Error loading api keys:", err);
+  }
+  const apiKeyRows = apiKeys.map((k) => ({
+    key_id: k.key_id,
+    name: k.name,
+    scopes: (k.scopes || []).join(", "),
+    created_at: k.created_at ? new Date(k.created_at).toISOString() : "",
+    last_used_at: k.last_used_at ? new Date(k.last_used_at).toISOString() : "",
+    revoked_at: k.revoked_at ? new Date(k.revoked_at).toISOString() : "",
+  }));
+  const apiKeyTable = buildTable(["key_id", "name", "scopes", "created_at", "last_used_at", "revoked_at"], apiKeyRows);
+
+  let strategyRows = [];
+  try {
+    const st = await payoutStrategyState();
+    const fmt = (label, strategy) => strategy && {
+      when: label,
+      type: strategy.type,
+      houseFee: `${strategy.houseFeeBps / 100}%`,
+      shares: strategy.sharesBps.map(b => `${b / 100}%`).join(" / "),
+    };
+    strategyRows = [
+      fmt(`period ${st.currentPeriod} (active${st.usingDefault ? ", env default" : ""})`, st.active),
+      JSON.stringify(st.next) !== JSON.stringify(st.active) ? fmt(`from period ${st.currentPeriod + 1}`, st.next) : null,
+    ].filter(Boolean);
+  } catch (err) {
+    console.error("Error loading payout strategy:", err);
+  }
+  const strategyTable = buildTable(["when", "type", "houseFee", "shares"], strategyRows);
+
+  let seasons = [];
+  try {
+    seasons = await listSeasons(pool);
+  } catch (err) {
+    console.error("Error loading seasons:", err);
+  }
+  const seasonRows = seasons.map((se) => ({
+    id: String(se.id),
+    name: se.name,
+    startsAt: se.startsAt,
+    endsAt: se.endsAt,
+    points: se.points.join("/"),
+    bonus: se.bonusBps ? `${se.bonusBps} bps -> ${se.bonusPercents.join("/")}%` : "",
+    bonusStatus: se.bonusStatus || "",
+    bonusTxHash: se.bonusTxHash || "",
+    bonusError: se.bonusError || "",
+  }));
+  const seasonTable = buildTable(["id", "name", "startsAt", "endsAt", "points", "bonus", "bonusStatus", "bonusTxHash", "bonusError"], seasonRows);
+  const bonusForms = seasons
+    .filter((se) => se.bonusBps > 0 && new Date(se.endsAt).getTime() <= Date.now() && (!se.bonusStatus || se.bonusStatus === "failed"))
+    .map((se) => `
+      <form method="POST" action="/admin/seasons/${htmlEscape(se.id)}/pay-bonus" class="d-inline">
+        <button class="btn btn-sm btn-outline-warning" type="submit">Pay bonus for season #${htmlEscape(se.id)}</button>
+      </form>`).join("");
+
+  let flaggedPlays = [];
+  try {
+    flaggedPlays = await loadFlaggedPlays(50);
+  } catch (err) {
+    console.error("Error loading flagged plays:", err);
+  }
+  const flaggedRows = flaggedPlays.map((p) => ({
+    id: String(p.id),
+    user_address: p.user_address,
+    score: String(p.score),
+    suspicion_score: String(p.suspicion_score ?? ""),
+    reasons: (p.suspicion_reasons || []).map(r => `${r.rule}: ${r.detail}`).join("\n"),
+    created_at: p.created_at ? new Date(p.created_at).toISOString() : "",
+  }));
+  const flaggedTable = buildTable(["id", "user_address", "score", "suspicion_score", "reasons", "created_at"], flaggedRows);
+  const reviewForms = flaggedPlays.map((p) => `
+      <div class="mb-1">
+        <form method="POST" action="/admin/plays/${htmlEscape(p.id)}/review" class="d-inline">
+          <input type="hidden" name="decision" value="approve" />
+          <button class="btn btn-sm btn-outline-success" type="submit">Approve #${htmlEscape(p.id)}</button>
+        </form>
+        <form method="POST" action="/admin/plays/${htmlEscape(p.id)}/review" class="d-inline">
+          <input type="hidden" name="decision" value="reject" />
+          <button class="btn btn-sm btn-outline-danger" type="submit">Reject #${htmlEscape(p.id)}</button>
+        </form>
+      </div>`).join("");
+
   // --- HTML ---
   const html = `<!doctype html>
 <html>
@@ -483,6 +603,11 @@ app.get("/admin/db-view", async (req, res) => {
       ${balanceTable}
     </div>
 
+    <div class="mb-4">
+      <h5>House Wallets</h5>
+      ${houseTable}
+    </div>
+
     <div class="mb-4">
       <h5>Player Deposits & Has Paid Status</h5>
       ${paymentsTable}
@@ -498,6 +623,29 @@ app.get("/admin/db-view", async (req, res) => {
       ${periodsTable}
     </div>
 
+    <div class="mb-4">
+      <h5>Payout Strategy</h5>
+      ${strategyTable}
+      <a class="btn btn-sm btn-outline-primary" href="/admin/periods/current/preview">Preview current period payout</a>
+    </div>
+
+    <div class="mb-4">
+      <h5>Seasons (${htmlEscape(String(seasonRows.length))})</h5>
+      ${seasonTable}
+      ${bonusForms}
+    </div>
+
+    <div class="mb-4">
+      <h5>Flagged Plays - pending review (${htmlEscape(String(flaggedRows.length))})</h5>
+      ${flaggedTable}
+      ${reviewForms}
+    </div>
+
+    <div class="mb-4">
+      <h5>Ingestion API Keys (${htmlEscape(String(apiKeyRows.length))})</h5>
+      ${apiKeyTable}
+    </div>
+
     <div class="mb-4">
       <h5>Profile Names (${htmlEscape(String(profileRows.length))})</h5>
       ${profileTable}
@@ -521,6 +669,233 @@ app.get("/admin/db-view", async (req, res) => {
 
 
 
+  // --- Anti-cheat review queue ---
+  async function loadFlaggedPlays(limit = 50) {
+    const r = await pool.query(
+      `SELECT id, session_id, user_address, replay_hash, score, kills, survival_ticks,
+              suspicion_score, suspicion_reasons, review_status, created_at
+       FROM verified_plays
+       WHERE review_status = 'flagged'
+       ORDER BY created_at ASC
+       LIMIT $1`,
+      [limit]
+    );
+    return r.rows;
+  }
+
+  app.get("/admin/flagged-plays", async (req, res) => {
+    if (!(await isAdminAuthed(req))) return res.status(403).json({ ok: false, error: "Not authorized" });
+    try {
+      const limit = Math.min(500, Math.max(1, Number(req.query.limit || 50)));
+      return res.json({ ok: true, plays: await loadFlaggedPlays(limit) });
+    } catch (err) {
+      console.error("/admin/flagged-plays error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  // decision=approve applies the play to the leaderboard (via opts.onPlayApproved), decision=reject drops it
+  app.post("/admin/plays/:id/review", async (req, res) => {
+    if (!(await isAdminAuthed(req))) return res.status(403).json({ ok: false, error: "Not authorized" });
+    try {
+      let decision = null;
+      let fromForm = false;
+      if (req.body && typeof req.body === "object" && Object.keys(req.body).length) {
+        decision = req.body.decision;
+      } else {
+        const raw = await readBody(req);
+        decision = new URLSearchParams(raw).get("decision");
+        fromForm = true;
+      }
+      if (decision !== "approve" && decision !== "reject") {
+        return res.status(400).json({ ok: false, error: "decision must be approve or reject" });
+      }
+
+      // Only flagged plays can be reviewed; the status check makes double-approval impossible
+      const status = decision === "approve" ? "approved" : "rejected";
+      const r = await pool.query(
+        `UPDATE verified_plays SET review_status = $2, reviewed_at = NOW()
+         WHERE id = $1 AND review_status = 'flagged'
+         RETURNING id, user_address, replay_hash, score, kills, shots, hits, max_combo, survival_ticks, period_index, review_status`,
+        [String(req.params.id), status]
+      );
+      if (r.rowCount === 0) return res.status(404).json({ ok: false, error: "flagged play not found" });
+
+      const play = r.rows[0];
+      if (status === "approved" && typeof opts.onPlayApproved === "function") {
+        await opts.onPlayApproved(play);
+      }
+      console.log(`[AdminReview] Play ${play.id} (${play.user_address}) ${status}`);
+
+      if (fromForm) return res.redirect("/admin/db-view");
+      return res.json({ ok: true, play });
+    } catch (err) {
+      console.error("/admin/plays/:id/review error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  // --- Ingestion API keys (trusted game servers) ---
+  app.get("/admin/api-keys", async (req, res) => {
+    if (!(await isAdminAuthed(req))) return res.status(403).json({ ok: false, error: "Not authorized" });
+    try {
+      return res.json({ ok: true, scopes: SCOPES, keys: await listApiKeys(pool) });
+    } catch (err) {
+      console.error("/admin/api-keys error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  // Body: { name, scopes: ["scores:write"] }. The private key is only returned in this response.
+  app.post("/admin/api-keys", async (req, res) => {
+    if (!(await isAdminAuthed(req))) return res.status(403).json({ ok: false, error: "Not authorized" });
+    try {
+      const { name, scopes } = req.body || {};
+      if (!name) return res.status(400).json({ ok: false, error: "name required" });
+      const list = Array.isArray(scopes) ? scopes.map(String) : [];
+      if (list.some(sc => !SCOPES.includes(sc))) {
+        return res.status(400).json({ ok: false, error: `scopes must be among: ${SCOPES.join(", ")}` });
+      }
+      const key = await createApiKey(pool, { name: String(name), scopes: list });
+      console.log(`[AdminApiKeys] Created ${key.keyId} (${key.name}) scopes=${list.join(",")}`);
+      return res.json({ ok: true, ...key, note: "store the private key now; it is not kept and cannot be shown again" });
+    } catch (err) {
+      console.error("/admin/api-keys create error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  app.post("/admin/api-keys/:keyId/revoke", async (req, res) => {
+    if (!(await isAdminAuthed(req))) return res.status(403).json({ ok: false, error: "Not authorized" });
+    try {
+      const revoked = await revokeApiKey(pool, String(req.params.keyId));
+      if (!revoked) return res.status(404).json({ ok: false, error: "key not found or already revoked" });
+      console.log(`[AdminApiKeys] Revoked ${req.params.keyId}`);
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error("/admin/api-keys revoke error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  // --- Payout strategy ---
+  // Active = in force for the running period; a newly saved one starts with the next period
+  async function payoutStrategyState() {
+    const current = computePeriod(Date.now(), DURATION_MS).periodIndex;
+    const schedule = await loadPayoutSchedule(pool);
+    const describe = (strategy) => strategy && { ...strategy, sharesBps: strategyShares(strategy) };
+    return {
+      currentPeriod: current,
+      active: describe(payoutStrategyFor(schedule, current, opts.defaultPayoutStrategy ?? null)),
+      next: describe(payoutStrategyFor(schedule, current + 1, opts.defaultPayoutStrategy ?? null)),
+      usingDefault: !schedule.some(e => e.effectiveFrom <= current),
+      schedule
+    };
+  }
+
+  app.get("/admin/payout-strategy", async (req, res) => {
+    if (!(await isAdminAuthed(req))) return res.status(403).json({ ok: false, error: "Not authorized" });
+    try {
+      return res.json({ ok: true, ...(await payoutStrategyState()) });
+    } catch (err) {
+      console.error("/admin/payout-strategy error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  // Body: { type: fixed | linear | winner_takes_all, houseFeeBps, percents?: [...], topN? }
+  app.post("/admin/payout-strategy", async (req, res) => {
+    if (!(await isAdminAuthed(req))) return res.status(403).json({ ok: false, error: "Not authorized" });
+    try {
+      const v = validatePayoutStrategy(req.body || {});
+      if (v.error) return res.status(400).json({ ok: false, error: v.error });
+      const effectiveFrom = computePeriod(Date.now(), DURATION_MS).periodIndex + 1;
+      await schedulePayoutStrategy(pool, v.strategy, effectiveFrom);
+      console.log(`[AdminPayout] Strategy ${JSON.stringify(v.strategy)} scheduled from period ${effectiveFrom}`);
+      return res.json({ ok: true, effectiveFrom, ...(await payoutStrategyState()) });
+    } catch (err) {
+      console.error("/admin/payout-strategy save error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  // Dry run of a period payout (opts.previewPayout): nothing is sent. :index may be "current".
+  app.get("/admin/periods/:index/preview", async (req, res) => {
+    if (!(await isAdminAuthed(req))) return res.status(403).json({ ok: false, error: "Not authorized" });
+    if (typeof opts.previewPayout !== "function") return res.status(501).json({ ok: false, error: "payout preview is not configured" });
+    try {
+      const raw = String(req.params.index).trim().toLowerCase();
+      const periodIndex = raw === "current" ? computePeriod(Date.now(), DURATION_MS).periodIndex : Number(raw);
+      if (!Number.isInteger(periodIndex)) return res.status(400).json({ ok: false, error: "index must be a period index or current" });
+      return res.json({ ok: true, ...(await opts.previewPayout(periodIndex)) });
+    } catch (err) {
+      console.error("/admin/periods/:index/preview error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  // Persisted payout run of a period (payoutRuns.js): each tx step with its hash, nonce and state
+  app.get("/admin/periods/:index/payout-run", async (req, res) => {
+    if (!(await isAdminAuthed(req))) return res.status(403).json({ ok: false, error: "Not authorized" });
+    try {
+      const periodIndex = Number(req.params.index);
+      if (!Number.isInteger(periodIndex)) return res.status(400).json({ ok: false, error: "index must be a period index" });
+      const run = await getPayoutRun(pool, periodIndex);
+      if (!run) return res.status(404).json({ ok: false, error: "no payout run for this period" });
+      const { plan, ...rest } = run;
+      return res.json({
+        ok: true,
+        ...rest,
+        plan: { winners: plan.winners, amounts: plan.amounts, house1: plan.house1 || "0", house2: plan.house2 || "0" },
+        steps: run.steps.map(({ rawTx, ...step }) => step)
+      });
+    } catch (err) {
+      console.error("/admin/periods/:index/payout-run error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  // --- Seasons ---
+  app.get("/admin/seasons", async (req, res) => {
+    if (!(await isAdminAuthed(req))) return res.status(403).json({ ok: false, error: "Not authorized" });
+    try {
+      return res.json({ ok: true, seasons: await listSeasons(pool) });
+    } catch (err) {
+      console.error("/admin/seasons error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  // Body: { name, startsAt, endsAt, points: [25, 18, 15, ...], bonusBps, bonusPercents: [50, 30, 20] }
+  app.post("/admin/seasons", async (req, res) => {
+    if (!(await isAdminAuthed(req))) return res.status(403).json({ ok: false, error: "Not authorized" });
+    try {
+      const out = await createSeason(pool, req.body || {});
+      if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
+      console.log(`[AdminSeasons] Created season ${out.season.id} (${out.season.name}) ${out.season.startsAt} - ${out.season.endsAt}`);
+      return res.json({ ok: true, season: out.season });
+    } catch (err) {
+      console.error("/admin/seasons create error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  // Pays the season's reserved bonus on-chain (via opts.paySeasonBonus)
+  app.post("/admin/seasons/:id/pay-bonus", async (req, res) => {
+    if (!(await isAdminAuthed(req))) return res.status(403).json({ ok: false, error: "Not authorized" });
+    if (typeof opts.paySeasonBonus !== "function") return res.status(501).json({ ok: false, error: "season bonus payouts are not configured" });
+    try {
+      const fromForm = !(req.body && typeof req.body === "object" && Object.keys(req.body).length);
+      const out = await opts.paySeasonBonus(Number(req.params.id));
+      if (out.error) return res.status(out.status || 400).json({ ok: false, error: out.error });
+      if (fromForm) return res.redirect("/admin/db-view");
+      return res.json({ ok: true, season: out.season });
+    } catch (err) {
+      console.error("/admin/seasons/:id/pay-bonus error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
   app.get("/admin/db-download", async (req, res) => {
     if (!(await isAdminAuthed(req))) return res.redirect("/admin/login");
     const adminSettings = await loadAdminSettings();
@@ -0,0 +1,131 @@
+// antiCheat.js
+import { keccak256, toUtf8Bytes } from "ethers";
+import { TICK_RATE } from "./gameSim.js";
+
+/**
+ * Replay plausibility analysis (rules engine)
+ *
+ * Each rule looks at a re-simulated replay and either passes (returns null) or returns
+ * a short detail string. Failing rules add their weight to the replay's suspicion_score;
+ * plays at or above the flag threshold are held back from the leaderboard/payouts until
+ * an admin reviews them.
+ *
+ * Exports:
+ *  - REVIEW_STATUS
+ *  - timingFingerprint(inputs)
+ *  - analyzeReplay(ctx, opts)
+ */
+
+export const REVIEW_STATUS = {
+  CLEAN: "clean",
+  FLAGGED: "flagged",
+  APPROVED: "approved",
+  REJECTED: "rejected"
+};
+
+const DEFAULTS = {
+  flagThreshold: 50,
+  maxAvgScorePerTick: 6,      // sustained score rate ceiling
+  maxTickGain: 80,            // single-tick ceiling (kill + pickup + survival tick = 76)
+  maxInputsPerSecond: 12,     // averaged over the run
+  sessionSlackMs: 5000,       // network/clock tolerance for the wall-clock check
+  minInputsForFingerprint: 20
+};
+
+// Fingerprint of the input timing (ticks between inputs), independent of seed and actions.
+// Two accounts producing the exact same rhythm over 20+ inputs is a strong bot/shared-replay signal.
+export function timingFingerprint(inputs, minInputs = DEFAULTS.minInputsForFingerprint) {
+  if (!Array.isArray(inputs) || inputs.length < minInputs) return null;
+  const deltas = [];
+  for (let i = 1; i < inputs.length; i++) deltas.push(inputs[i].tick - inputs[i - 1].tick);
+  return keccak256(toUtf8Bytes(deltas.join(",")));
+}
+
+// ----------------------- Rules -----------------------
+// ctx: { sim, inputs, session, submittedAt, userAddress, fingerprint, pool }
+const RULES = [
+  {
+    id: "duration_exceeds_session",
+    weight: 100,
+    check(ctx, cfg) {
+      const playedMs = (ctx.sim.survivalTicks / TICK_RATE) * 1000;
+      const wallMs = ctx.submittedAt - ctx.session.createdAt;
+      if (playedMs <= wallMs + cfg.sessionSlackMs) return null;
+      return `replay covers ${Math.round(playedMs)}ms but session was open ${wallMs}ms`;
+    }
+  },
+  {
+    id: "score_rate",
+    weight: 40,
+    check(ctx, cfg) {
+      const ticks = Math.max(1, ctx.sim.survivalTicks);
+      const rate = ctx.sim.score / ticks;
+      if (rate <= cfg.maxAvgScorePerTick) return null;
+      return `average ${rate.toFixed(2)} points/tick > ${cfg.maxAvgScorePerTick}`;
+    }
+  },
+  {
+    id: "score_jump",
+    weight: 60,
+    check(ctx, cfg) {
+      if (ctx.sim.maxTickGain <= cfg.maxTickGain) return null;
+      return `gained ${ctx.sim.maxTickGain} points in one tick > ${cfg.maxTickGain}`;
+    }
+  },
+  {
+    id: "input_rate",
+    weight: 30,
+    check(ctx, cfg) {
+      const seconds = Math.max(1, ctx.sim.survivalTicks / TICK_RATE);
+      const rate = ctx.inputs.length / seconds;
+      if (rate <= cfg.maxInputsPerSecond) return null;
+      return `${rate.toFixed(1)} inputs/s > ${cfg.maxInputsPerSecond}`;
+    }
+  },
+  {
+    id: "timing_pattern_shared",
+    weight: 60,
+    async check(ctx) {
+      if (!ctx.fingerprint || !ctx.pool) return null;
+      const r = await ctx.pool.query(
+        `SELECT DISTINCT user_address FROM verified_plays
+         WHERE timing_fingerprint = $1 AND user_address <> $2
+         LIMIT 5`,
+        [ctx.fingerprint, ctx.userAddress]
+      );
+      if (r.rowCount === 0) return null;
+      return `identical input timing to ${r.rows.map(x => x.user_address).join(", ")}`;
+    }
+  }
+];
+
+// Returns { suspicionScore, reasons: [{ rule, weight, detail }], flagged, reviewStatus }
+export async function analyzeReplay(ctx, opts = {}) {
+  const cfg = { ...DEFAULTS, ...opts };
+  const reasons = [];
+  for (const rule of RULES) {
+    try {
+      const detail = await rule.check(ctx, cfg);
+      if (detail) reasons.push({ rule: rule.id, weight: rule.weight, detail });
+    } catch (err) {
+      // A broken rule must not block submissions; log and keep going
+      console.error(`[AntiCheat] rule ${rule.id} failed:`, err);
+    }
+  }
+
+  const suspicionScore = reasons.reduce((sum, r) => sum + r.weight, 0);
+  const flagged = suspicionScore >= cfg.flagThreshold;
+  return {
+    suspicionScore,
+    reasons,
+    flagged,
+    reviewStatus: flagged ? REVIEW_STATUS.FLAGGED : REVIEW_STATUS.CLEAN
+  };
+}
+
+// ----------------------- Exports -----------------------
+export default {
+  REVIEW_STATUS,
+  timingFingerprint,
+  analyzeReplay
+};
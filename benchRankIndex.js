@@ -0,0 +1,112 @@
+// benchRankIndex.js
+// Benchmark for the leaderboard rank index with synthetic players (no DB needed):
+//   node benchRankIndex.js [players=1000000] [ops=100000]
+// Builds db.scores with random players, then times score updates, top-N pages, rank
+// lookups, "around me" windows and deep pages through getLeaderboard itself.
+import { getLeaderboard, rebuildRankIndex, rankEntries } from "./leaderboard.js";
+import { createRankIndex } from "./rankIndex.js";
+
+const PLAYERS = Number(process.argv[2] || 1_000_000);
+const OPS = Number(process.argv[3] || 100_000);
+const RANK_MODES = ["ordinal", "competition", "dense"];
+
+const address = (i) => "0x" + i.toString(16).padStart(40, "0");
+const randInt = (n) => Math.floor(Math.random() * n);
+const BASE_MS = Date.UTC(2025, 0, 3);
+
+function player(i) {
+  return {
+    user_address: address(i),
+    profile_name: null,
+    highest_score: randInt(50_000), // many ties on purpose
+    games_played: 1 + randInt(50),
+    level: 1,
+    achieved_at: new Date(BASE_MS + randInt(90 * 86400_000)).toISOString()
+  };
+}
+
+// Same key leaderboard.js builds for the index (sortKey)
+const keyFor = (p) => ({
+  highest_score: p.highest_score,
+  achieved_ms: Date.parse(p.achieved_at),
+  games_played: p.games_played,
+  user_address: p.user_address
+});
+
+function time(label, count, fn) {
+  const t0 = process.hrtime.bigint();
+  for (let i = 0; i < count; i++) fn(i);
+  const ms = Number(process.hrtime.bigint() - t0) / 1e6;
+  const per = count > 1 ? `  (${((ms * 1000) / count).toFixed(2)} µs/op)` : "";
+  console.log(`${label.padEnd(34)} ${ms.toFixed(1).padStart(10)} ms${per}`);
+  return ms;
+}
+
+// Small cross-check against a full sort before timing anything
+function selfCheck() {
+  const db = { scores: {} };
+  for (let i = 0; i < 2000; i++) db.scores[address(i)] = { ...player(i), highest_score: randInt(200) };
+  rebuildRankIndex(db);
+  // incremental updates must end up where a full sort puts them
+  for (let i = 0; i < 500; i++) {
+    const addr = address(randInt(2000));
+    const entry = { ...db.scores[addr], highest_score: 1 + randInt(200), games_played: 1 + randInt(5) };
+    db.scores[addr] = entry;
+    db.rankIndex.upsert(addr, keyFor(entry));
+  }
+  for (const mode of RANK_MODES) {
+    const sorted = rankEntries(Object.values(db.scores), mode);
+    const { leaderboard, total } = getLeaderboard(db, sorted.length, null, { rankMode: mode });
+    if (total !== sorted.length) throw new Error(`self-check: total ${total} vs ${sorted.length}`);
+    sorted.forEach((p, i) => {
+      if (leaderboard[i].user_address !== p.user_address || leaderboard[i].rank !== p.rank) {
+        throw new Error(`self-check (${mode}) differs at position ${i}`);
+      }
+    });
+  }
+  // removals keep spans consistent
+  const index = createRankIndex({ compare: (a, b) => a - b, scoreOf: k => k });
+  for (let i = 0; i < 1000; i++) index.upsert(i, randInt(100));
+  for (let i = 0; i < 1000; i += 2) index.remove(i);
+  const ids = index.range(0, index.size()).map(r => r.id);
+  if (ids.length !== 500 || ids.some((id, pos) => index.position(id) !== pos)) throw new Error("self-check: positions after removal");
+  console.log("self-check ok (index matches a full sort for every rank mode)\n");
+}
+
+selfCheck();
+
+console.log(`players: ${PLAYERS.toLocaleString()}, ops per query type: ${OPS.toLocaleString()}\n`);
+const db = { scores: {} };
+time("generate players", 1, () => {
+  for (let i = 0; i < PLAYERS; i++) db.scores[address(i)] = player(i);
+});
+time("build index", 1, () => rebuildRankIndex(db));
+
+// Same path a counted play takes: new entry object into the cache + index
+time("score update (recordScore path)", OPS, () => {
+  const addr = address(randInt(PLAYERS));
+  const prev = db.scores[addr];
+  const score = prev.highest_score + randInt(500);
+  const entry = {
+    ...prev,
+    games_played: prev.games_played + 1,
+    achieved_at: score > prev.highest_score ? new Date().toISOString() : prev.achieved_at,
+    highest_score: score
+  };
+  db.scores[addr] = entry;
+  db.rankIndex.upsert(addr, keyFor(entry));
+});
+
+for (const mode of RANK_MODES) {
+  time(`top 10 (${mode})`, OPS / 10, () => getLeaderboard(db, 10, null, { rankMode: mode }));
+}
+for (const mode of RANK_MODES) {
+  time(`rank of address (${mode})`, OPS, () => db.rankIndex.rank(address(randInt(PLAYERS)), mode));
+}
+time("around me, radius 5", OPS / 10, () => getLeaderboard(db, 10, null, { around: address(randInt(PLAYERS)), radius: 5 }));
+time("page of 100 at random offset", OPS / 100, () => getLeaderboard(db, 100, null, { offset: randInt(PLAYERS) }));
+
+let baseline = 0;
+time("baseline: full sort, once", 1, () => { baseline = rankEntries(Object.values(db.scores)).length; });
+console.log(`\nranked players: ${db.rankIndex.size().toLocaleString()} (full sort saw ${baseline.toLocaleString()})`);
+console.log(`heap used: ${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(0)} MB`);
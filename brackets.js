@@ -0,0 +1,48 @@
+// brackets.js
+/**
+ * Level brackets for leaderboards and bracketed payouts
+ *
+ * Spec (env LEVEL_BRACKETS): comma separated "min-max" or "min+" ranges with an optional
+ * payout weight after a colon, e.g. "1-5:20,6-15:30,16+:50". The range text is the bracket
+ * id used in ?bracket= and in payout records. Weights default to 1.
+ *
+ * Exports:
+ *  - parseBrackets(spec) -> [{ id, min, max, weight }] (throws on an invalid spec)
+ *  - bracketOf(brackets, level) -> bracket | null
+ *  - bracketById(brackets, id) -> bracket | null
+ */
+
+export function parseBrackets(spec) {
+  if (!spec || !String(spec).trim()) return [];
+
+  const brackets = String(spec).split(",").map(part => {
+    const [range, weightText] = part.trim().split(":");
+    const m = /^(\d+)(?:-(\d+)|(\+))$/.exec(range.trim());
+    if (!m) throw new Error(`invalid level bracket "${part.trim()}" (expected min-max or min+)`);
+    const min = Number(m[1]);
+    const max = m[3] ? Infinity : Number(m[2]);
+    if (min < 1 || max < min) throw new Error(`invalid level bracket "${range.trim()}"`);
+    const weight = weightText === undefined ? 1 : Number(weightText);
+    if (!Number.isInteger(weight) || weight < 0) throw new Error(`bracket weight must be a non-negative integer ("${part.trim()}")`);
+    return { id: range.trim(), min, max, weight };
+  });
+
+  brackets.sort((a, b) => a.min - b.min);
+  for (let i = 1; i < brackets.length; i++) {
+    if (brackets[i].min <= brackets[i - 1].max) {
+      throw new Error(`level brackets ${brackets[i - 1].id} and ${brackets[i].id} overlap`);
+    }
+  }
+  return brackets;
+}
+
+export function bracketOf(brackets, level) {
+  const lvl = Number(level ?? 1);
+  return (brackets || []).find(b => lvl >= b.min && lvl <= b.max) || null;
+}
+
+export function bracketById(brackets, id) {
+  return (brackets || []).find(b => b.id === String(id).trim()) || null;
+}
+
+export default { parseBrackets, bracketOf, bracketById };
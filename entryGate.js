@@ -0,0 +1,61 @@
+// entryGate.js
+/**
+ * Cached on-chain entry lookups (hasPaid / getCurrentPlayers)
+ *
+ * Request paths (start-session, dashboards) read through a short-lived cache so the RPC
+ * is not hit on every call. Negative answers expire faster so a player who just paid
+ * is not locked out for the full TTL. Payout code should pass { fresh: true }.
+ * The hasPaid cache holds at most maxEntries addresses: expired entries are pruned first,
+ * then the oldest lookups.
+ *
+ * Exports:
+ *  - createEntryChecker(contract, { ttlMs, negativeTtlMs, maxEntries })
+ */
+
+export function createEntryChecker(contract, { ttlMs = 30_000, negativeTtlMs = 5_000, maxEntries = 10_000 } = {}) {
+  const paidCache = new Map(); // lowercased address -> { paid, expiresAt }
+  let playersCache = null;     // { players: Set<lowercased address>, expiresAt }
+
+  async function hasPaid(address, { fresh = false } = {}) {
+    const addr = String(address).trim().toLowerCase();
+    const cached = paidCache.get(addr);
+    if (!fresh && cached && cached.expiresAt > Date.now()) return cached.paid;
+
+    const paid = !!(await contract.hasPaid(addr));
+    paidCache.delete(addr); // re-insert so Map order stays oldest lookup first
+    paidCache.set(addr, { paid, expiresAt: Date.now() + (paid ? ttlMs : negativeTtlMs) });
+    if (paidCache.size > maxEntries) prune();
+    return paid;
+  }
+
+  function prune() {
+    const now = Date.now();
+    for (const [addr, entry] of paidCache) {
+      if (entry.expiresAt <= now) paidCache.delete(addr);
+    }
+    for (const addr of paidCache.keys()) {
+      if (paidCache.size <= maxEntries) break;
+      paidCache.delete(addr);
+    }
+  }
+
+  // Players that deposited in the current on-chain round (cleared by resetPayments)
+  async function getCurrentPlayers({ fresh = false } = {}) {
+    if (!fresh && playersCache && playersCache.expiresAt > Date.now()) return playersCache.players;
+
+    const list = await contract.getCurrentPlayers();
+    const players = new Set((Array.isArray(list) ? list : Array.from(list || [])).map(a => String(a).toLowerCase()));
+    playersCache = { players, expiresAt: Date.now() + ttlMs };
+    return players;
+  }
+
+  // Call after resetPayments(): every cached "paid" answer belongs to the previous round
+  function invalidate() {
+    paidCache.clear();
+    playersCache = null;
+  }
+
+  return { hasPaid, getCurrentPlayers, invalidate };
+}
+
+export default { createEntryChecker };
@@ -0,0 +1,199 @@
+// gameSim.js
+/**
+ * Server-authoritative game simulation
+ *
+ * The client and server run the same deterministic rules against the session seed,
+ * so the server can re-play a list of player inputs and compute the real result.
+ * Any change here must be mirrored in the C# client port (same constants, same
+ * order of RNG calls) and SIM_VERSION bumped.
+ *
+ * Exports:
+ *  - SIM_VERSION, TICK_RATE, MAX_TICKS, MAX_INPUTS, ACTIONS
+ *  - mulberry32(seed)
+ *  - createSeed()
+ *  - normalizeInputs(replay)
+ *  - simulateReplay(seed, inputs, { recordEvents, scoreTicks })
+ */
+import crypto from "crypto";
+
+export const SIM_VERSION = 1;
+export const TICK_RATE = 20;                       // simulation ticks per second
+export const MAX_TICKS = TICK_RATE * 60 * 30;      // hard cap: 30 minutes of play
+export const MAX_INPUTS = 5000;
+export const ACTIONS = ["left", "right", "fire"];
+
+const LANES = 3;
+const START_LANE = 1;
+const MAX_HP = 3;
+const SPAWN_DISTANCE = 40;        // ticks for a spawned object to reach the player
+const FIRE_RANGE = 30;            // shots only hit enemies at distance <= FIRE_RANGE
+const FIRE_COOLDOWN_TICKS = 5;
+const PICKUP_CHANCE = 0.01;
+const SCORE_PER_TICK = 1;
+const KILL_SCORE = 50;
+const PICKUP_SCORE = 25;
+
+// enemy spawn chance ramps up from 5% to 35% per tick over the first 10 minutes
+function enemySpawnChance(tick) {
+  return Math.min(0.35, 0.05 + (0.30 * tick) / (TICK_RATE * 600));
+}
+
+// simple seeded RNG (mulberry32) - keep deterministic across Node & C# ports
+export function mulberry32(seed) {
+  let t = seed >>> 0;
+  return function() {
+    t += 0x6D2B79F5;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// uint32 seed issued with each session
+export function createSeed() {
+  return crypto.randomBytes(4).readUInt32BE(0);
+}
+
+// Validate + sanitize client inputs: [{ tick, action }], ticks non-decreasing.
+// Returns { inputs } (fresh objects with only the known fields) or { error }.
+export function normalizeInputs(replay) {
+  if (!Array.isArray(replay)) return { error: "replay must be an array" };
+  if (replay.length > MAX_INPUTS) return { error: `replay must have 0..${MAX_INPUTS} entries` };
+
+  const inputs = [];
+  let lastTick = 0;
+  for (let i = 0; i < replay.length; i++) {
+    const ev = replay[i];
+    if (!ev || typeof ev !== "object") return { error: `invalid entry at index ${i}` };
+
+    const tick = Number(ev.tick);
+    if (!Number.isInteger(tick) || tick < 0 || tick >= MAX_TICKS) return { error: `invalid tick at index ${i}` };
+    if (tick < lastTick) return { error: `ticks must be non-decreasing (index ${i})` };
+    if (!ACTIONS.includes(ev.action)) return { error: `invalid action at index ${i}` };
+
+    inputs.push({ tick, action: ev.action });
+    lastTick = tick;
+  }
+  return { inputs };
+}
+
+// Run the game to completion (player death or MAX_TICKS) with the given inputs.
+// Returns { score, survivalTicks, kills, shots, pickups, damageTaken, maxTickGain, endTick, unusedInputs }
+// plus, when requested:
+//  - events: typed event log [{ tick, type: "shot" | "kill" | "pickup" | "damage" | "death", ... }]
+//  - scoreAt: Map tick -> score at the end of that tick, for each tick in opts.scoreTicks
+export function simulateReplay(seed, inputs, { recordEvents = false, scoreTicks = null } = {}) {
+  const rng = mulberry32(seed);
+  const events = recordEvents ? [] : null;
+  const scoreAt = scoreTicks ? new Map() : null;
+
+  let lane = START_LANE;
+  let hp = MAX_HP;
+  let score = 0;
+  let kills = 0;
+  let shots = 0;
+  let pickups = 0;
+  let damageTaken = 0;
+  let survivalTicks = 0;
+  let nextFireTick = 0;
+  let maxTickGain = 0;
+  let objects = []; // { kind: "enemy" | "pickup", lane, distance }
+
+  let i = 0;
+  let tick = 0;
+  for (; tick < MAX_TICKS; tick++) {
+    const tickStartScore = score;
+
+    // 1) player inputs for this tick, in submitted order
+    while (i < inputs.length && inputs[i].tick === tick) {
+      const { action } = inputs[i++];
+      if (action === "left") lane = Math.max(0, lane - 1);
+      else if (action === "right") lane = Math.min(LANES - 1, lane + 1);
+      else if (action === "fire" && tick >= nextFireTick) {
+        shots++;
+        nextFireTick = tick + FIRE_COOLDOWN_TICKS;
+        let target = -1;
+        for (let k = 0; k < objects.length; k++) {
+          const o = objects[k];
+          if (o.kind !== "enemy" || o.lane !== lane || o.distance > FIRE_RANGE) continue;
+          if (target === -1 || o.distance < objects[target].distance) target = k;
+        }
+        if (target !== -1) {
+          objects.splice(target, 1);
+          kills++;
+          score += KILL_SCORE;
+        }
+        if (events) {
+          events.push({ tick, type: "shot", hit: target !== -1 });
+          if (target !== -1) events.push({ tick, type: "kill" });
+        }
+      }
+    }
+
+    // 2) spawns (RNG call order matters: enemy roll, enemy lane, pickup roll, pickup lane)
+    if (rng() < enemySpawnChance(tick)) {
+      objects.push({ kind: "enemy", lane: Math.floor(rng() * LANES), distance: SPAWN_DISTANCE });
+    }
+    if (rng() < PICKUP_CHANCE) {
+      objects.push({ kind: "pickup", lane: Math.floor(rng() * LANES), distance: SPAWN_DISTANCE });
+    }
+
+    // 3) advance objects; resolve the ones reaching the player row
+    const remaining = [];
+    for (const o of objects) {
+      o.distance -= 1;
+      if (o.distance > 0) { remaining.push(o); continue; }
+      if (o.lane !== lane) continue;
+      if (o.kind === "enemy") {
+        hp -= 1;
+        damageTaken++;
+        if (events) events.push({ tick, type: "damage", hp: Math.max(0, hp) });
+      } else {
+        hp = Math.min(MAX_HP, hp + 1);
+        pickups++;
+        score += PICKUP_SCORE;
+        if (events) events.push({ tick, type: "pickup" });
+      }
+    }
+    objects = remaining;
+
+    // 4) survival
+    if (hp <= 0) {
+      maxTickGain = Math.max(maxTickGain, score - tickStartScore);
+      if (events) events.push({ tick, type: "death" });
+      if (scoreAt && scoreTicks.has(tick)) scoreAt.set(tick, score);
+      break;
+    }
+    survivalTicks = tick + 1;
+    score += SCORE_PER_TICK;
+    maxTickGain = Math.max(maxTickGain, score - tickStartScore);
+    if (scoreAt && scoreTicks.has(tick)) scoreAt.set(tick, score);
+  }
+
+  return {
+    score,
+    survivalTicks,
+    kills,
+    shots,
+    pickups,
+    damageTaken,
+    maxTickGain,
+    endTick: tick,
+    unusedInputs: inputs.length - i, // inputs after the run ended (client/server desync or tampering)
+    ...(events ? { events } : {}),
+    ...(scoreAt ? { scoreAt } : {})
+  };
+}
+
+// ----------------------- Exports -----------------------
+export default {
+  SIM_VERSION,
+  TICK_RATE,
+  MAX_TICKS,
+  MAX_INPUTS,
+  ACTIONS,
+  mulberry32,
+  createSeed,
+  normalizeInputs,
+  simulateReplay
+};
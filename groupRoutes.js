@@ -0,0 +1,210 @@
+// groupRoutes.js
+import {
+  computePeriod,
+  getLeaderboard,
+  loadPeriodScores,
+  decodeCursor,
+  DEFAULT_RANK_MODE,
+  RANK_MODES
+} from "./leaderboard.js";
+import {
+  createGroup,
+  getGroup,
+  joinGroup,
+  leaveGroup,
+  rotateInviteCode,
+  listGroupMembers,
+  listPlayerGroups
+} from "./groups.js";
+import { verifyWalletSignature } from "./walletAuth.js";
+
+/**
+ * Group (clan / friends) leaderboards
+ *
+ * Writes need a signed wallet nonce (POST /api/auth/nonce) in the body: { address, nonce, signature }.
+ * The nonce must be issued for that write: action group:create (target = name), group:join
+ * (target = invite code), group:leave or group:invite-code (target = group id).
+ * Invite codes are only returned to the creator and to the owner when rotating.
+ *
+ * Routes:
+ *  - POST /api/groups                     { name }          create, caller becomes owner
+ *  - POST /api/groups/join                { inviteCode }
+ *  - POST /api/groups/:id/leave
+ *  - POST /api/groups/:id/invite-code                       owner only, new code
+ *  - GET  /api/groups/:id
+ *  - GET  /api/groups/:id/leaderboard?limit=&offset=&cursor=&rankMode=&period=&user=
+ *  - GET  /api/players/:address/groups
+ */
+export default function registerGroupRoutes(app, db, opts = {}) {
+  const pool = opts.pool;
+  const DURATION_MS = opts.durationMs ?? 3600000;
+  const MAX_MEMBERS = opts.maxMembers ?? 200;
+  const MAX_GROUPS_PER_PLAYER = opts.maxGroupsPerPlayer ?? 20;
+
+  if (!pool) throw new Error("registerGroupRoutes requires opts.pool (pg Pool)");
+
+  // Proven caller address for this action + target, or null after sending a 401
+  async function walletCaller(req, res, tag, action, target) {
+    const { address, nonce, signature } = req.body || {};
+    const auth = await verifyWalletSignature(pool, { address, nonce, signature, action, target });
+    if (auth.error) {
+      console.warn(`[Groups] ${tag}: wallet auth failed (${auth.error}). Address=${address}`);
+      res.status(401).json({ ok: false, error: auth.error });
+      return null;
+    }
+    return auth.address;
+  }
+
+  function groupIdParam(req, res) {
+    const id = Number(String(req.params.id).trim());
+    if (!Number.isInteger(id) || id <= 0) {
+      res.status(400).json({ ok: false, error: "invalid group id" });
+      return null;
+    }
+    return id;
+  }
+
+  app.post("/api/groups", async (req, res) => {
+    try {
+      const caller = await walletCaller(req, res, "Create", "group:create", req.body?.name);
+      if (!caller) return;
+      const out = await createGroup(pool, { name: req.body?.name, ownerAddress: caller, maxGroupsPerPlayer: MAX_GROUPS_PER_PLAYER });
+      if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
+      console.log(`[Groups] Created group ${out.group.id} "${out.group.name}" owner=${caller}`);
+      return res.json({ ok: true, group: out.group, inviteCode: out.inviteCode });
+    } catch (err) {
+      console.error("POST /api/groups error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  app.post("/api/groups/join", async (req, res) => {
+    try {
+      const caller = await walletCaller(req, res, "Join", "group:join", req.body?.inviteCode);
+      if (!caller) return;
+      const out = await joinGroup(pool, {
+        inviteCode: req.body?.inviteCode,
+        address: caller,
+        maxMembers: MAX_MEMBERS,
+        maxGroupsPerPlayer: MAX_GROUPS_PER_PLAYER
+      });
+      if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
+      console.log(`[Groups] ${caller} joined group ${out.group.id}`);
+      return res.json({ ok: true, group: out.group });
+    } catch (err) {
+      console.error("POST /api/groups/join error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  app.post("/api/groups/:id/leave", async (req, res) => {
+    try {
+      const groupId = groupIdParam(req, res);
+      if (groupId === null) return;
+      const caller = await walletCaller(req, res, "Leave", "group:leave", String(groupId));
+      if (!caller) return;
+      const out = await leaveGroup(pool, { groupId, address: caller });
+      if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
+      console.log(`[Groups] ${caller} left group ${groupId}${out.deleted ? " (group deleted)" : ""}`);
+      return res.json({ ok: true, group: out.group, deleted: out.deleted });
+    } catch (err) {
+      console.error("POST /api/groups/:id/leave error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  app.post("/api/groups/:id/invite-code", async (req, res) => {
+    try {
+      const groupId = groupIdParam(req, res);
+      if (groupId === null) return;
+      const caller = await walletCaller(req, res, "InviteCode", "group:invite-code", String(groupId));
+      if (!caller) return;
+      const out = await rotateInviteCode(pool, { groupId, address: caller });
+      if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
+      return res.json({ ok: true, group: out.group, inviteCode: out.inviteCode });
+    } catch (err) {
+      console.error("POST /api/groups/:id/invite-code error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  app.get("/api/groups/:id", async (req, res) => {
+    try {
+      const groupId = groupIdParam(req, res);
+      if (groupId === null) return;
+      const group = await getGroup(pool, groupId);
+      if (!group) return res.status(404).json({ ok: false, error: "group not found" });
+      const members = (await listGroupMembers(pool, groupId)).map(addr => ({
+        user_address: addr,
+        profile_name: db.scores?.[addr]?.profile_name || null
+      }));
+      return res.json({ ok: true, group, members });
+    } catch (err) {
+      console.error("GET /api/groups/:id error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  // Same ranking as /api/leaderboard (rank modes, period boards, cursors), members only
+  app.get("/api/groups/:id/leaderboard", async (req, res) => {
+    try {
+      const groupId = groupIdParam(req, res);
+      if (groupId === null) return;
+      const limit = Math.min(100, Math.max(1, Number(req.query.limit || 10)));
+      const user = req.query.user ? String(req.query.user).trim().toLowerCase() : null;
+      const rankMode = req.query.rankMode ? String(req.query.rankMode).trim().toLowerCase() : DEFAULT_RANK_MODE;
+      if (!RANK_MODES.includes(rankMode)) {
+        return res.status(400).json({ ok: false, error: `rankMode must be one of ${RANK_MODES.join(", ")}` });
+      }
+      const offset = Math.max(0, Math.floor(Number(req.query.offset || 0)));
+      if (Number.isNaN(offset)) return res.status(400).json({ ok: false, error: "offset must be a number" });
+      let cursor = null;
+      if (req.query.cursor) {
+        cursor = decodeCursor(req.query.cursor);
+        if (!cursor) return res.status(400).json({ ok: false, error: "invalid cursor" });
+      }
+
+      const periodParam = req.query.period === undefined ? "all" : String(req.query.period).trim().toLowerCase();
+      let period = "all";
+      if (periodParam === "current") {
+        period = computePeriod(Date.now(), DURATION_MS).periodIndex;
+      } else if (periodParam !== "all") {
+        period = Number(periodParam);
+        if (!Number.isInteger(period)) return res.status(400).json({ ok: false, error: "period must be all, current or a period index" });
+      }
+
+      const group = await getGroup(pool, groupId);
+      if (!group) return res.status(404).json({ ok: false, error: "group not found" });
+      const members = await listGroupMembers(pool, groupId);
+      if (period !== "all") await loadPeriodScores(pool, db, period);
+
+      const page = getLeaderboard(db, limit, user, { period, rankMode, offset, cursor, members });
+      return res.json({
+        ok: true,
+        group,
+        period,
+        rankMode,
+        total: page.total,
+        offset: page.offset,
+        count: page.leaderboard.length,
+        nextCursor: page.nextCursor,
+        leaderboard: page.leaderboard,
+        player: page.player
+      });
+    } catch (err) {
+      console.error("GET /api/groups/:id/leaderboard error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  app.get("/api/players/:address/groups", async (req, res) => {
+    try {
+      const addr = String(req.params.address).trim().toLowerCase();
+      const groups = await listPlayerGroups(pool, addr);
+      return res.json({ ok: true, user_address: addr, count: groups.length, groups });
+    } catch (err) {
+      console.error("GET /api/players/:address/groups error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+}
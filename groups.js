@@ -0,0 +1,261 @@
+// groups.js
+import crypto from "crypto";
+
+/**
+ * Player groups (clans / friends lists) joined with an invite code
+ *
+ * A group is a named set of players with one owner. Anyone holding the invite code can join;
+ * the owner can rotate the code to stop old invites working. When the owner leaves, the
+ * longest-standing member becomes owner; when the last member leaves the group is deleted.
+ * Group boards are ranked from the existing scores (see getLeaderboard opts.members).
+ *
+ * Exports:
+ *  - ensureGroupTables(pool)
+ *  - normalizeGroupName(name)
+ *  - createGroup(pool, { name, ownerAddress, maxGroupsPerPlayer })
+ *  - getGroup(pool, groupId)
+ *  - joinGroup(pool, { inviteCode, address, maxMembers, maxGroupsPerPlayer })
+ *  - leaveGroup(pool, { groupId, address })
+ *  - rotateInviteCode(pool, { groupId, address })
+ *  - listGroupMembers(pool, groupId)
+ *  - listPlayerGroups(pool, address)
+ */
+
+// ----------------------- Schema -----------------------
+export async function ensureGroupTables(pool) {
+  const sql = `
+CREATE TABLE IF NOT EXISTS player_groups (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  owner_address TEXT NOT NULL,
+  invite_code TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS group_members (
+  group_id BIGINT NOT NULL REFERENCES player_groups(id) ON DELETE CASCADE,
+  user_address TEXT NOT NULL,
+  joined_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (group_id, user_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_members_user_address
+  ON group_members (user_address);
+  `;
+  try {
+    await pool.query(sql);
+    console.log("✅ player_groups/group_members tables ensured (exists or created).");
+  } catch (err) {
+    console.error("❌ Failed to ensure group tables:", err);
+    throw err;
+  }
+}
+
+// ----------------------- Helpers -----------------------
+const INVITE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O, 1/I
+const INVITE_LENGTH = 8;
+
+function newInviteCode() {
+  const bytes = crypto.randomBytes(INVITE_LENGTH);
+  let code = "";
+  for (const b of bytes) code += INVITE_ALPHABET[b % INVITE_ALPHABET.length];
+  return code;
+}
+
+// Trimmed, inner whitespace collapsed; null if not 3-32 characters
+export function normalizeGroupName(name) {
+  const n = String(name ?? "").trim().replace(/\s+/g, " ");
+  return n.length >= 3 && n.length <= 32 ? n : null;
+}
+
+function rowToGroup(r) {
+  return {
+    id: Number(r.id),
+    name: r.name,
+    owner_address: r.owner_address,
+    created_at: r.created_at ? new Date(r.created_at).toISOString() : null,
+    member_count: r.member_count === undefined ? undefined : Number(r.member_count)
+  };
+}
+
+async function countPlayerGroups(client, address) {
+  const r = await client.query(`SELECT COUNT(*)::int AS n FROM group_members WHERE user_address = $1`, [address]);
+  return r.rows[0].n;
+}
+
+// Run fn(client) inside a transaction
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const out = await fn(client);
+    await client.query("COMMIT");
+    return out;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ----------------------- Writes -----------------------
+// All writes return { group } (plus inviteCode where the caller may see it) or { error, status }.
+export async function createGroup(pool, { name, ownerAddress, maxGroupsPerPlayer = 20 }) {
+  const groupName = normalizeGroupName(name);
+  if (!groupName) return { error: "group name must be 3-32 characters", status: 400 };
+  const owner = String(ownerAddress).toLowerCase();
+
+  return withTransaction(pool, async (client) => {
+    if ((await countPlayerGroups(client, owner)) >= maxGroupsPerPlayer) {
+      return { error: `players can be in at most ${maxGroupsPerPlayer} groups`, status: 409 };
+    }
+    // invite codes are random; retry on the (unlikely) collision
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const inviteCode = newInviteCode();
+      const r = await client.query(
+        `INSERT INTO player_groups(name, owner_address, invite_code)
+         VALUES($1, $2, $3)
+         ON CONFLICT (invite_code) DO NOTHING
+         RETURNING *`,
+        [groupName, owner, inviteCode]
+      );
+      if (!r.rowCount) continue;
+      await client.query(`INSERT INTO group_members(group_id, user_address) VALUES($1, $2)`, [r.rows[0].id, owner]);
+      return { group: rowToGroup({ ...r.rows[0], member_count: 1 }), inviteCode };
+    }
+    throw new Error("could not generate a unique invite code");
+  });
+}
+
+export async function joinGroup(pool, { inviteCode, address, maxMembers = 200, maxGroupsPerPlayer = 20 }) {
+  const code = String(inviteCode ?? "").trim().toUpperCase();
+  const addr = String(address).toLowerCase();
+  if (!code) return { error: "missing invite code", status: 400 };
+
+  return withTransaction(pool, async (client) => {
+    // lock the group row so concurrent joins cannot overshoot maxMembers
+    const g = await client.query(`SELECT * FROM player_groups WHERE invite_code = $1 FOR UPDATE`, [code]);
+    if (!g.rowCount) return { error: "invalid invite code", status: 404 };
+    const group = g.rows[0];
+
+    const existing = await client.query(
+      `SELECT 1 FROM group_members WHERE group_id = $1 AND user_address = $2`,
+      [group.id, addr]
+    );
+    if (existing.rowCount) return { error: "already a member of this group", status: 409 };
+
+    const count = await client.query(`SELECT COUNT(*)::int AS n FROM group_members WHERE group_id = $1`, [group.id]);
+    if (count.rows[0].n >= maxMembers) return { error: `group is full (${maxMembers} members)`, status: 409 };
+    if ((await countPlayerGroups(client, addr)) >= maxGroupsPerPlayer) {
+      return { error: `players can be in at most ${maxGroupsPerPlayer} groups`, status: 409 };
+    }
+
+    await client.query(`INSERT INTO group_members(group_id, user_address) VALUES($1, $2)`, [group.id, addr]);
+    return { group: rowToGroup({ ...group, member_count: count.rows[0].n + 1 }) };
+  });
+}
+
+// Owner leaving hands the group to the longest-standing member; the last member deletes it.
+// Returns { group (null if deleted), deleted }.
+export async function leaveGroup(pool, { groupId, address }) {
+  const addr = String(address).toLowerCase();
+
+  return withTransaction(pool, async (client) => {
+    const g = await client.query(`SELECT * FROM player_groups WHERE id = $1 FOR UPDATE`, [String(groupId)]);
+    if (!g.rowCount) return { error: "group not found", status: 404 };
+    const group = g.rows[0];
+
+    const del = await client.query(
+      `DELETE FROM group_members WHERE group_id = $1 AND user_address = $2`,
+      [group.id, addr]
+    );
+    if (!del.rowCount) return { error: "not a member of this group", status: 404 };
+
+    const next = await client.query(
+      `SELECT user_address, COUNT(*) OVER ()::int AS n
+       FROM group_members WHERE group_id = $1
+       ORDER BY joined_at ASC, user_address ASC
+       LIMIT 1`,
+      [group.id]
+    );
+    if (!next.rowCount) {
+      await client.query(`DELETE FROM player_groups WHERE id = $1`, [group.id]);
+      return { group: null, deleted: true };
+    }
+
+    let owner = group.owner_address;
+    if (owner === addr) {
+      owner = next.rows[0].user_address;
+      await client.query(`UPDATE player_groups SET owner_address = $2 WHERE id = $1`, [group.id, owner]);
+    }
+    return { group: rowToGroup({ ...group, owner_address: owner, member_count: next.rows[0].n }), deleted: false };
+  });
+}
+
+// Owner only; old invite codes stop working
+export async function rotateInviteCode(pool, { groupId, address }) {
+  const addr = String(address).toLowerCase();
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const inviteCode = newInviteCode();
+    try {
+      const r = await pool.query(
+        `UPDATE player_groups SET invite_code = $3 WHERE id = $1 AND owner_address = $2 RETURNING *`,
+        [String(groupId), addr, inviteCode]
+      );
+      if (!r.rowCount) {
+        const exists = await getGroup(pool, groupId);
+        return exists
+          ? { error: "only the group owner can change the invite code", status: 403 }
+          : { error: "group not found", status: 404 };
+      }
+      return { group: rowToGroup(r.rows[0]), inviteCode };
+    } catch (err) {
+      if (err.code !== "23505") throw err; // unique_violation: try another code
+    }
+  }
+  throw new Error("could not generate a unique invite code");
+}
+
+// ----------------------- Reads -----------------------
+export async function getGroup(pool, groupId) {
+  const r = await pool.query(
+    `SELECT g.*, (SELECT COUNT(*) FROM group_members m WHERE m.group_id = g.id) AS member_count
+     FROM player_groups g WHERE g.id = $1 LIMIT 1`,
+    [String(groupId)]
+  );
+  return r.rowCount ? rowToGroup(r.rows[0]) : null;
+}
+
+// [address] in join order
+export async function listGroupMembers(pool, groupId) {
+  const r = await pool.query(
+    `SELECT user_address FROM group_members WHERE group_id = $1 ORDER BY joined_at ASC, user_address ASC`,
+    [String(groupId)]
+  );
+  return r.rows.map(row => row.user_address);
+}
+
+export async function listPlayerGroups(pool, address) {
+  const r = await pool.query(
+    `SELECT g.*, (SELECT COUNT(*) FROM group_members c WHERE c.group_id = g.id) AS member_count
+     FROM group_members m JOIN player_groups g ON g.id = m.group_id
+     WHERE m.user_address = $1
+     ORDER BY m.joined_at ASC`,
+    [String(address).toLowerCase()]
+  );
+  return r.rows.map(rowToGroup);
+}
+
+// ----------------------- Exports -----------------------
+export default {
+  ensureGroupTables,
+  normalizeGroupName,
+  createGroup,
+  getGroup,
+  joinGroup,
+  leaveGroup,
+  rotateInviteCode,
+  listGroupMembers,
+  listPlayerGroups
+};
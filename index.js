@@ -10,36 +10,103 @@ import { ethers } from "ethers";
 import { Pool } from "pg";
 import {
   initDB,
-  saveScore,
+  recordScore,
+  updateScoreProfile,
   saveProfileName,
   savePeriod,
   computePeriod,
+  periodBounds,
+  previewPayout,
   processPeriod,
+  reconcilePayouts,
   normalizeProfileName,
-  getLeaderboard
+  rowToScore,
+  playerAccuracy,
+  getLeaderboard,
+  RANK_MODES,
+  DEFAULT_RANK_MODE,
+  decodeCursor,
+  rebuildRankIndex,
+  setLevelBrackets,
+  PAYOUT_MODES,
+  DEFAULT_HOUSE_SPLIT_BPS,
+  backfillPeriodScores,
+  loadPeriodScores,
+  recordPeriodScore
 } from "./leaderboard.js";
 import registerAdminRoutes from "./adminRoutes.js";
+import registerReplayRoutes from "./replayRoutes.js";
+import registerLiveRoutes from "./liveUpdates.js";
+import registerPeriodRoutes from "./periodRoutes.js";
+import { ensurePeriodSnapshotsTable } from "./periodSnapshots.js";
+import { ensurePayoutRunTables } from "./payoutRuns.js";
+import { parseBrackets } from "./brackets.js";
+import registerGroupRoutes from "./groupRoutes.js";
+import registerPlayerStatsRoutes from "./playerStatsRoutes.js";
+import {
+  loadAchievementRules,
+  ensureAchievementsTable,
+  evaluatePlayAchievements,
+  evaluatePeriodAchievements,
+  getPlayerAchievements,
+  achievementCatalog
+} from "./achievements.js";
+import registerSeasonRoutes from "./seasonRoutes.js";
+import { defaultPayoutStrategy, loadPayoutSchedule, payoutStrategyFor } from "./payoutStrategy.js";
+import {
+  ensureSeasonTables,
+  getSeason,
+  seasonAt,
+  awardSeasonPoints,
+  recordSeasonReserve,
+  dropSeasonReserve,
+  heldReserveWei,
+  seasonBonusPlan,
+  claimSeasonBonus,
+  finishSeasonBonus
+} from "./seasons.js";
+import { ensureGroupTables } from "./groups.js";
+import {
+  ensureGameSessionsTable,
+  createSession,
+  getSession,
+  consumeSession,
+  sweepExpiredSessions
+} from "./sessions.js";
+import {
+  ensureAuthNoncesTable,
+  AUTH_ACTIONS,
+  issueNonce,
+  verifyWalletSignature,
+  sweepExpiredNonces
+} from "./walletAuth.js";
+import {
+  SIM_VERSION,
+  createSeed,
+  simulateReplay
+} from "./gameSim.js";
+import { parseReplay, scoreCheckTicks, verifyOutcomes, deriveStats } from "./replaySchema.js";
+import { analyzeReplay, timingFingerprint } from "./antiCheat.js";
+import { decodeReplay } from "./replayCodec.js";
+import {
+  ensureApiKeyTables,
+  requireSignedRequest,
+  sweepExpiredApiNonces
+} from "./ingestAuth.js";
+import { createEntryChecker } from "./entryGate.js";
 import { keccak256, toUtf8Bytes } from "ethers";
 // ===== session + deterministic board helpers =====
 import crypto from "crypto";
 import stringify from 'json-stable-stringify';
 
-// in-memory sessions (persist to DB in prod)
-const SESSIONS = new Map(); // sessionId -> { user, seed, board, createdAt, used }
-const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS || 1000 * 60 * 20); // 20 min default
-
-function createSessionId() { return crypto.randomBytes(12).toString('hex'); }
-function nowMs() { return Date.now(); }
-
-// simple seeded RNG (mulberry32) - keep deterministic across Node & C# ports
-function mulberry32(seed) {
-  let t = seed >>> 0;
-  return function() {
-    t += 0x6D2B79F5;
-    let r = Math.imul(t ^ (t >>> 15), 1 | t);
-    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
-    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
-  };
+// TRUST_PROXY env -> Express "trust proxy" value: true/false, a hop count, or a list of
+// addresses/subnets ("loopback, 10.0.0.0/8")
+function parseTrustProxy(raw) {
+  const v = String(raw).trim();
+  if (v === "true") return true;
+  if (v === "false" || v === "") return false;
+  if (/^\d+$/.test(v)) return Number(v);
+  return v.split(",").map(x => x.trim()).filter(Boolean);
 }
 
 // ensureVerifiedPlaysTable.js  (paste into index.js or import from a util file)
@@ -60,6 +127,32 @@ CREATE TABLE IF NOT EXISTS verified_plays (
 
 CREATE UNIQUE INDEX IF NOT EXISTS idx_verified_plays_replay_hash
   ON verified_plays (replay_hash);
+
+-- anti-cheat analysis (safe migration for older schema)
+ALTER TABLE verified_plays ADD COLUMN IF NOT EXISTS suspicion_score INTEGER DEFAULT 0;
+ALTER TABLE verified_plays ADD COLUMN IF NOT EXISTS suspicion_reasons JSONB;
+ALTER TABLE verified_plays ADD COLUMN IF NOT EXISTS review_status TEXT DEFAULT 'clean';
+ALTER TABLE verified_plays ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+ALTER TABLE verified_plays ADD COLUMN IF NOT EXISTS timing_fingerprint TEXT;
+ALTER TABLE verified_plays ADD COLUMN IF NOT EXISTS period_index BIGINT;
+
+-- gameplay stats derived from the typed event log
+ALTER TABLE verified_plays ADD COLUMN IF NOT EXISTS schema_version INTEGER DEFAULT 1;
+ALTER TABLE verified_plays ADD COLUMN IF NOT EXISTS shots INTEGER;
+ALTER TABLE verified_plays ADD COLUMN IF NOT EXISTS hits INTEGER;
+ALTER TABLE verified_plays ADD COLUMN IF NOT EXISTS accuracy REAL;
+ALTER TABLE verified_plays ADD COLUMN IF NOT EXISTS max_combo INTEGER;
+ALTER TABLE verified_plays ADD COLUMN IF NOT EXISTS pickups INTEGER;
+ALTER TABLE verified_plays ADD COLUMN IF NOT EXISTS damage_taken INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_verified_plays_review_status
+  ON verified_plays (review_status);
+CREATE INDEX IF NOT EXISTS idx_verified_plays_timing_fingerprint
+  ON verified_plays (timing_fingerprint);
+CREATE INDEX IF NOT EXISTS idx_verified_plays_period_index
+  ON verified_plays (period_index);
+CREATE INDEX IF NOT EXISTS idx_verified_plays_user_created
+  ON verified_plays (user_address, created_at);
   `;
   try {
     await pool.query(sql);
@@ -87,10 +180,59 @@ const CRON_SCHEDULE = process.env.CRON_SCHEDULE || "0 * * * *";
 const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
 const RPC_URL = process.env.RPC_URL;
 let PRIVATE_KEY = process.env.PRIVATE_KEY;
+// Default payout strategy, used until an admin schedules one (see CHANGELOG.md): house fee in
+// bps of the pool (100 = 1%) and the legacy 49/29/9/2... table cut to the top TOP_N positions
+// and rescaled to 100% (TOP_N=3 -> 56.33/33.33/10.34%). TOP_N=10 + HOUSE_FEE_BPS=3000 comes
+// closest to the old hardcoded payout.
 const HOUSE_FEE_BPS = Number(process.env.HOUSE_FEE_BPS || 100);
 const TOP_N = Number(process.env.TOP_N || 3);
+// Share of the house fee paid to houseWallet1 in basis points; the rest goes to houseWallet2.
+// Default DEFAULT_HOUSE_SPLIT_BPS (5000, an even split). 10000 sends everything to
+// houseWallet1, 0 to houseWallet2.
+const HOUSE_SPLIT_BPS = Number(process.env.HOUSE_SPLIT_BPS ?? DEFAULT_HOUSE_SPLIT_BPS);
+if (!Number.isInteger(HOUSE_SPLIT_BPS) || HOUSE_SPLIT_BPS < 0 || HOUSE_SPLIT_BPS > 10000) {
+  throw new Error("HOUSE_SPLIT_BPS must be an integer from 0 to 10000");
+}
+// Payout strategy until an admin schedules one (see payoutStrategy.js)
+const DEFAULT_PAYOUT_STRATEGY = defaultPayoutStrategy(TOP_N, HOUSE_FEE_BPS);
 const GAS_LIMIT = Number(process.env.GAS_LIMIT || 2_000_000);
+// How long a payout waits for each tx receipt before leaving it to be reconciled later
+const PAYOUT_CONFIRM_TIMEOUT_MS = Number(process.env.PAYOUT_CONFIRM_TIMEOUT_MS || 10 * 60 * 1000);
 const ADMIN_SECRET = process.env.ADMIN_SECRET || null;
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS || 1000 * 60 * 20); // 20 min default
+const SESSION_SWEEP_INTERVAL_MS = Number(process.env.SESSION_SWEEP_INTERVAL_MS || 60_000);
+const AUTH_NONCE_TTL_MS = Number(process.env.AUTH_NONCE_TTL_MS || 5 * 60 * 1000); // 5 min default
+const AUTH_DOMAIN = process.env.AUTH_DOMAIN || "apster";
+const SUSPICION_FLAG_THRESHOLD = Number(process.env.SUSPICION_FLAG_THRESHOLD || 50);
+// On-chain entry gating: refuse sessions for unpaid addresses (off by default) /
+// only pay winners that deposited in the period (on by default)
+const REQUIRE_ENTRY_FOR_SESSION = process.env.REQUIRE_ENTRY_FOR_SESSION === "true";
+const REQUIRE_ENTRY_FOR_PAYOUT = process.env.REQUIRE_ENTRY_FOR_PAYOUT !== "false";
+const ENTRY_CACHE_TTL_MS = Number(process.env.ENTRY_CACHE_TTL_MS || 30_000);
+const INGEST_MAX_SKEW_MS = Number(process.env.INGEST_MAX_SKEW_MS || 5 * 60 * 1000);
+// DEV_MODE=true re-enables the unauthenticated /api/submit-score (never in production)
+const DEV_MODE = process.env.DEV_MODE === "true";
+// How prizes are split between players with equal scores: ordinal (tie-breakers decide) | split
+const PAYOUT_TIE_MODE = process.env.PAYOUT_TIE_MODE || "ordinal";
+// Level brackets, e.g. "1-5:20,6-15:30,16+:50" (range:payout weight); empty = no brackets.
+// PAYOUT_MODE=brackets splits each period's pool across them by weight.
+const LEVEL_BRACKETS = parseBrackets(process.env.LEVEL_BRACKETS || "");
+const PAYOUT_MODE = process.env.PAYOUT_MODE || "overall";
+if (!PAYOUT_MODES.includes(PAYOUT_MODE)) throw new Error(`PAYOUT_MODE must be one of ${PAYOUT_MODES.join(", ")}`);
+if (PAYOUT_MODE === "brackets" && !LEVEL_BRACKETS.length) throw new Error("PAYOUT_MODE=brackets requires LEVEL_BRACKETS");
+// Express "trust proxy": off by default (clients connect directly; X-Forwarded-For is ignored).
+// Behind a proxy set it to the number of hops (1 = the hosting load balancer) or the proxy
+// addresses, otherwise every client shares the proxy's IP. Decides req.ip, which keys per-IP limits.
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY ?? "false");
+// Live SSE stream (/api/stream) limits
+const LIVE_MAX_CONNECTIONS = Number(process.env.LIVE_MAX_CONNECTIONS || 500);
+const LIVE_MAX_PER_IP = Number(process.env.LIVE_MAX_PER_IP || 5);
+const LIVE_HEARTBEAT_MS = Number(process.env.LIVE_HEARTBEAT_MS || 15_000);
+// /api/players/:address/stats cache lifetime
+const PLAYER_STATS_CACHE_TTL_MS = Number(process.env.PLAYER_STATS_CACHE_TTL_MS || 60_000);
+// Group leaderboards: size limits
+const GROUP_MAX_MEMBERS = Number(process.env.GROUP_MAX_MEMBERS || 200);
+const GROUP_MAX_PER_PLAYER = Number(process.env.GROUP_MAX_PER_PLAYER || 20);
 
 
 
@@ -109,10 +251,16 @@ if (!fs.existsSync(ABI_PATH)) {
   process.exit(1);
 }
 const contractJson = JSON.parse(fs.readFileSync(ABI_PATH, "utf8"));
+
+// Achievement rules (data file, see achievements.js)
+const ACHIEVEMENTS_FILE = path.resolve(process.env.ACHIEVEMENTS_FILE || "./achievements.json");
+const ACHIEVEMENT_RULES = loadAchievementRules(ACHIEVEMENTS_FILE);
+console.log(`🏅 Loaded ${ACHIEVEMENT_RULES.length} achievement rule(s) from ${ACHIEVEMENTS_FILE}`);
 const provider = new ethers.JsonRpcProvider(RPC_URL);
 const ownerWallet = new ethers.Wallet(PRIVATE_KEY, provider);
 const contract = new ethers.Contract(CONTRACT_ADDRESS, contractJson.abi, ownerWallet);
 const readOnlyContract = new ethers.Contract(CONTRACT_ADDRESS, contractJson.abi, provider);
+const entryChecker = createEntryChecker(readOnlyContract, { ttlMs: ENTRY_CACHE_TTL_MS });
 
 
 
@@ -162,6 +310,7 @@ const pool = new Pool({
 let db;
 try {
   db = await initDB(pool);
+  setLevelBrackets(db, LEVEL_BRACKETS);
   console.log("DB cache loaded (Postgres)");
 } catch (err) {
   console.error("Failed to initialize DB:", err);
@@ -170,26 +319,104 @@ try {
 
 try {
   await ensureVerifiedPlaysTable(pool);
+  await backfillPeriodScores(pool, DURATION_MS);
+} catch (err) {
+  console.error("Failed DB pre-checks (ensureVerifiedPlaysTable/backfillPeriodScores):", err);
+  process.exit(1);
+}
+
+try {
+  await ensureGameSessionsTable(pool);
+  await ensureAuthNoncesTable(pool);
+  await ensureApiKeyTables(pool);
+  await ensurePeriodSnapshotsTable(pool);
+  await ensureGroupTables(pool);
+  await ensureAchievementsTable(pool);
+  await ensureSeasonTables(pool);
+  await ensurePayoutRunTables(pool);
 } catch (err) {
-  console.error("Failed DB pre-checks (ensureVerifiedPlaysTable):", err);
+  console.error("Failed to ensure DB tables:", err);
   process.exit(1);
 }
 
+// Background sweep of expired sessions + auth/api nonces (safe to run on every instance)
+async function sweepSessions() {
+  try {
+    const removed = await sweepExpiredSessions(pool);
+    if (removed) console.log(`[SessionSweep] Removed ${removed} expired session(s)`);
+    const removedNonces = await sweepExpiredNonces(pool);
+    if (removedNonces) console.log(`[SessionSweep] Removed ${removedNonces} expired auth nonce(s)`);
+    const removedApiNonces = await sweepExpiredApiNonces(pool, INGEST_MAX_SKEW_MS);
+    if (removedApiNonces) console.log(`[SessionSweep] Removed ${removedApiNonces} expired api nonce(s)`);
+  } catch (err) {
+    console.error("[SessionSweep] error:", err);
+  }
+}
+setInterval(sweepSessions, SESSION_SWEEP_INTERVAL_MS);
+
 // --- Express ---
 const app = express();
+app.set("trust proxy", TRUST_PROXY);
 
 
 app.use(cors());
-app.use(express.json({ limit: '3mb' }));
-
-// Register admin routes, provide pool to adminRoutes
+// keep the raw bytes around for signed ingestion requests (ingestAuth.js)
+app.use(express.json({ limit: '3mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 
+// Live leaderboard / period events over SSE
+const live = registerLiveRoutes(app, db, {
+  pool,
+  durationMs: DURATION_MS,
+  maxConnections: LIVE_MAX_CONNECTIONS,
+  maxPerIp: LIVE_MAX_PER_IP,
+  heartbeatMs: LIVE_HEARTBEAT_MS
+});
 
 // Register admin routes, provide pool and contract instance to adminRoutes
 registerAdminRoutes(app, db, {
   pool,
   adminSecret: ADMIN_SECRET,
-  contract: readOnlyContract // <-- read-only for dashboard
+  contract: readOnlyContract, // <-- read-only for dashboard
+  durationMs: DURATION_MS,
+  defaultPayoutStrategy: DEFAULT_PAYOUT_STRATEGY,
+  houseSplitBps: HOUSE_SPLIT_BPS,
+  // same inputs as the cron payout, read-only contract (no transaction can be sent)
+  previewPayout: async (periodIndex) =>
+    previewPayout(readOnlyContract, db, periodIndex, TOP_N, HOUSE_FEE_BPS, await payoutOptions(periodIndex)),
+  // approved anti-cheat flags count like a normal verified play
+  onPlayApproved: async (play) => {
+    await applyPlayResult(play.user_address, {
+      score: Number(play.score),
+      periodIndex: Number(play.period_index),
+      stats: { kills: play.kills, shots: play.shots, hits: play.hits, maxCombo: play.max_combo }
+    });
+    live.publishPlay(play);
+  },
+  paySeasonBonus
+});
+
+// Public replay retrieval (ghost runs, per-player history, best replay per period)
+registerReplayRoutes(app, db, { pool, durationMs: DURATION_MS });
+
+// Season standings (admin-defined seasons, points per paid period)
+registerSeasonRoutes(app, db, { pool });
+
+// Per-player stats/history from verified_plays (cached, invalidated on new plays)
+const playerStats = registerPlayerStatsRoutes(app, db, {
+  pool,
+  durationMs: DURATION_MS,
+  cacheTtlMs: PLAYER_STATS_CACHE_TTL_MS
+});
+
+// Past period results frozen at payout time
+registerPeriodRoutes(app, db, { pool, durationMs: DURATION_MS });
+
+// Group (clan / friends) leaderboards, joined by invite code
+registerGroupRoutes(app, db, {
+  pool,
+  durationMs: DURATION_MS,
+  maxMembers: GROUP_MAX_MEMBERS,
+  maxGroupsPerPlayer: GROUP_MAX_PER_PLAYER
 });
 
 
@@ -200,18 +427,70 @@ app.get("/", (req,res) => res.send("✅ Backend running (Postgres)!"));
 
 
 
-// Start a session - server returns the authoritative board and seed
+// Auth challenge - client signs the returned message with its wallet (personal_sign).
+// Body: { address, action = "session", target } - the nonce only works for that action/target
+// (AUTH_ACTIONS: session, group:create <name>, group:join <invite code>, group:leave <id>,
+// group:invite-code <id>).
+app.post("/api/auth/nonce", async (req, res) => {
+  try {
+    const { address, action = "session", target = null } = req.body || {};
+    if (!address || !ethers.isAddress(String(address))) {
+      return res.status(400).json({ ok: false, error: "missing or invalid address" });
+    }
+    if (!AUTH_ACTIONS.includes(String(action))) {
+      return res.status(400).json({ ok: false, error: `action must be one of ${AUTH_ACTIONS.join(", ")}` });
+    }
+    const t = target === null || target === undefined ? "" : String(target).trim();
+    if (action !== "session" && (!t || t.length > 64)) {
+      return res.status(400).json({ ok: false, error: `action ${action} needs a target (1-64 characters)` });
+    }
+    const challenge = await issueNonce(pool, String(address), { ttlMs: AUTH_NONCE_TTL_MS, domain: AUTH_DOMAIN, action: String(action), target });
+    return res.json({ ok: true, ...challenge });
+  } catch (err) {
+    console.error("/api/auth/nonce error:", err);
+    return res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// Start a session - persisted in Postgres so it survives restarts and works across instances.
+// Requires a signed nonce: the session is bound to the proven wallet address.
 // --- Start session ---
 app.post("/api/start-session", async (req, res) => {
   try {
-    const sessionId = ethers.hexlify(ethers.randomBytes(16)); // unique
-    const expiresAt = Date.now() + 22 * 60 * 1000; // 22 min
-    SESSIONS.set(sessionId, { used: false, expiresAt });
+    const { address, nonce, signature } = req.body || {};
+    const auth = await verifyWalletSignature(pool, { address, nonce, signature, action: "session" });
+    if (auth.error) {
+      console.warn(`[StartSession] Wallet auth failed (${auth.error}). Address=${address}`);
+      return res.status(401).json({ error: auth.error });
+    }
 
-    console.log(`[StartSession] New session created: 
-      SessionId=${sessionId}, ExpiresAt=${new Date(expiresAt).toISOString()}`);
+    if (REQUIRE_ENTRY_FOR_SESSION) {
+      let paid = false;
+      try {
+        paid = await entryChecker.hasPaid(auth.address);
+      } catch (err) {
+        console.error("[StartSession] hasPaid lookup failed:", err);
+        return res.status(503).json({ error: "could not verify entry fee, try again" });
+      }
+      if (!paid) {
+        console.warn(`[StartSession] Entry fee not paid. Address=${auth.address}`);
+        return res.status(402).json({ error: "entry fee not paid for the current period" });
+      }
+    }
 
-    res.json({ sessionId, expiresAt });
+    const seed = createSeed();
+    const session = await createSession(pool, { userAddress: auth.address, seed, ttlMs: SESSION_TTL_MS });
+
+    console.log(`[StartSession] New session created: 
+      SessionId=${session.sessionId}, User=${session.userAddress}, Seed=${session.seed}, ExpiresAt=${new Date(session.expiresAt).toISOString()}`);
+
+    res.json({
+      sessionId: session.sessionId,
+      userAddress: session.userAddress,
+      seed: session.seed,
+      simVersion: SIM_VERSION,
+      expiresAt: session.expiresAt
+    });
   } catch (err) {
     console.error("start-session error:", err);
     res.status(500).json({ error: "could not start session" });
@@ -219,164 +498,225 @@ app.post("/api/start-session", async (req, res) => {
 });
 
 
-// --- Submit replay ---
-app.post("/api/submit-replay", async (req, res) => {
+// Apply a play result (score + derived stats) to the leaderboard and to the scores of the
+// period it was played in. Both are single atomic SQL upserts (see recordScore /
+// recordPeriodScore), shared by submit-replay, approved anti-cheat flags, ingestion and
+// the dev submit-score route.
+// level picks the player's bracket, and so which prize pool they can win from: only the signed
+// ingestion API may set it, and recordScore never lets it go down.
+// Returns { saved, achievements } (achievements = the ones this play unlocked).
+async function applyPlayResult(addr, { score, periodIndex, stats = {} }, { level, profile_name, email } = {}) {
+  const saved = await recordScore(pool, db, { user_address: addr, score, level, profile_name, email, stats });
+  await recordPeriodScore(pool, db, periodIndex, addr, score);
+  live.scoresChanged();
+  playerStats.invalidate(addr);
+
+  // the play already counts; a failed achievement check must not reject it
+  let achievements = [];
   try {
-    const { sessionId, userAddress, replay, profile_name, email, level } = req.body;
+    achievements = await evaluatePlayAchievements(pool, db, ACHIEVEMENT_RULES, addr, { score, periodIndex, stats });
+  } catch (err) {
+    console.error(`[Achievements] play check failed for ${addr}:`, err);
+  }
+  return { saved, achievements };
+}
 
-    // --- Dump all current sessions for debugging ---
-    console.log("[ReplaySubmit] Current sessions in memory:");
-    for (const [id, s] of SESSIONS.entries()) {
-      console.log(`   ${id} | used=${s.used} | expiresAt=${new Date(s.expiresAt).toISOString()}`);
-    }
+// --- Submit replay ---
+// JSON body: { sessionId, replay, result: { score, survivalTicks, kills }, ... } where replay is
+// the input array or a base64 binary replay (see replayCodec.js).
+// application/octet-stream: the binary replay is the body, the other fields go in the query
+// string (?sessionId=&score=&survivalTicks=&kills=).
+app.post("/api/submit-replay", express.raw({ type: "application/octet-stream", limit: "1mb" }), async (req, res) => {
+  try {
+    const binaryUpload = Buffer.isBuffer(req.body);
+    const fields = binaryUpload ? (req.query || {}) : (req.body || {});
+    const { sessionId, userAddress, profile_name, email } = fields;
+    const result = binaryUpload
+      ? { score: fields.score, survivalTicks: fields.survivalTicks, kills: fields.kills }
+      : fields.result;
+    let replay = binaryUpload ? req.body : fields.replay;
 
     // --- Validate input payload ---
     if (!sessionId || !replay) {
-      console.warn(`[ReplaySubmit] Missing sessionId or replay. Payload:`, req.body);
+      console.warn(`[ReplaySubmit] Missing sessionId or replay. Payload:`, binaryUpload ? fields : req.body);
       return res.status(400).json({ error: "missing sessionId or replay" });
     }
 
-    // --- Session validation ---
-    const s = SESSIONS.get(sessionId);
-    if (!s) {
+    // --- Binary replays decode to the same input array as JSON uploads (same canonical hash) ---
+    if (binaryUpload || typeof replay === "string") {
+      try {
+        replay = decodeReplay(binaryUpload ? replay : Buffer.from(replay, "base64"));
+      } catch (err) {
+        console.warn(`[ReplaySubmit] Binary replay rejected (${err.message}). SessionId=${sessionId}`);
+        return res.status(400).json({ error: err.message });
+      }
+    }
+
+    // --- Session pre-check (seed); consumed atomically further down ---
+    const pending = await getSession(pool, sessionId);
+    if (!pending) {
       console.warn(`[ReplaySubmit] Session not found: ${sessionId}`);
       return res.status(400).json({ error: "session not found" });
     }
-    if (s.used) {
-      console.warn(`[ReplaySubmit] Session already used: ${sessionId}`);
-      return res.status(400).json({ error: "session already used" });
-    }
-    const now = Date.now();
-    if (now > s.expiresAt) {
-      const diff = now - s.expiresAt;
-      console.warn(`[ReplaySubmit] Session expired ${diff}ms ago. SessionId=${sessionId}`);
-      return res.status(400).json({ error: `session expired ${diff}ms ago` });
+    if (pending.seed === null) {
+      console.warn(`[ReplaySubmit] Session has no seed (pre-simulation session). SessionId=${sessionId}`);
+      return res.status(400).json({ error: "session has no seed; start a new session" });
     }
 
-    // --- Replay shape validation ---
-    if (!Array.isArray(replay)) {
-      console.warn(`[ReplaySubmit] Replay not array. SessionId=${sessionId}`);
-      return res.status(400).json({ error: "replay must be an array" });
-    }
-    const MAX_ENTRIES = 5000;
-    if (replay.length === 0 || replay.length > MAX_ENTRIES) {
-      console.warn(`[ReplaySubmit] Replay length invalid (${replay.length}). SessionId=${sessionId}`);
-      return res.status(400).json({ error: `replay must have 1..${MAX_ENTRIES} entries` });
+    // --- Replay schema validation (v1 input array or v2 typed events) ---
+    const { version: schemaVersion, inputs, outcomes, error: schemaError } = parseReplay(replay);
+    if (schemaError) {
+      console.warn(`[ReplaySubmit] ${schemaError}. SessionId=${sessionId}`);
+      return res.status(400).json({ error: schemaError });
     }
 
-    // --- Replay entries validation & integer conversion ---
-    let lastTime = -1;
-    let monotonic = true;
-    const scores = [];
-    for (let i = 0; i < replay.length; i++) {
-      const ev = replay[i];
-      if (!ev || typeof ev !== "object") {
-        console.warn(`[ReplaySubmit] Invalid entry at index ${i}:`, ev);
-        return res.status(400).json({ error: `invalid entry at index ${i}` });
-      }
-
-      // convert to numbers then to integers (floor)
-      const tRaw = Number(ev.time);
-      const scRaw = Number(ev.score);
-      if (!Number.isFinite(tRaw) || !Number.isFinite(scRaw)) {
-        console.warn(`[ReplaySubmit] Non-numeric time/score at index ${i}. time=${ev.time}, score=${ev.score}`);
-        return res.status(400).json({ error: `invalid time/score at index ${i}` });
-      }
-
-      const t = Math.floor(tRaw);
-      const sc = Math.floor(scRaw);
-
-      if (t < 0 || sc < 0) {
-        console.warn(`[ReplaySubmit] Negative time/score at index ${i}. time=${t}, score=${sc}`);
-        return res.status(400).json({ error: `invalid time/score at index ${i}` });
-      }
-
-      // overwrite replay entry with sanitized ints (so canonicalization/hashing uses ints)
-      ev.time = t;
-      ev.score = sc;
+    // --- Authoritative re-simulation against the session seed ---
+    const sim = simulateReplay(pending.seed, inputs, { recordEvents: true, scoreTicks: scoreCheckTicks(outcomes) });
+    if (sim.unusedInputs > 0) {
+      console.warn(`[ReplaySubmit] ${sim.unusedInputs} input(s) after end of run (tick ${sim.endTick}). SessionId=${sessionId}`);
+      return res.status(422).json({ error: "replay has inputs after the end of the run", endTick: sim.endTick });
+    }
 
-      scores.push(sc);
-      if (t < lastTime) monotonic = false;
-      lastTime = t;
+    // v2 replays: the logged gameplay events must be exactly what the simulation produced
+    const outcomeMismatch = verifyOutcomes(outcomes, sim);
+    if (outcomeMismatch) {
+      console.warn(`[ReplaySubmit] Event log mismatch (${outcomeMismatch}). SessionId=${sessionId}`);
+      return res.status(422).json({ error: "replay events do not match simulation", detail: outcomeMismatch });
+    }
+    const stats = deriveStats(sim);
+
+    // Claimed result must match what the server computed
+    const claimed = result || {};
+    const mismatches = ["score", "survivalTicks", "kills"].filter(k => Number(claimed[k]) !== sim[k]);
+    if (mismatches.length) {
+      console.warn(`[ReplaySubmit] Claimed result mismatch (${mismatches.join(",")}). SessionId=${sessionId}, claimed=${JSON.stringify(claimed)}, server=${JSON.stringify({ score: sim.score, survivalTicks: sim.survivalTicks, kills: sim.kills })}`);
+      return res.status(422).json({ error: "claimed result does not match replay", mismatches });
     }
 
-    // --- Canonicalize & hash replay (using sanitized ints) ---
-    const canonical = stringify(replay);
+    // --- Canonicalize & hash replay (seed included so identical inputs on different seeds differ) ---
+    // Only the inputs are hashed: outcome events are derived from them, so v1 and v2 uploads of
+    // the same run share one hash.
+    const canonical = stringify({ v: SIM_VERSION, seed: pending.seed, inputs });
     const rHash = keccak256(toUtf8Bytes(canonical));
 
-    // --- Compute final score (integers now) ---
-    const lastEntryScore = scores[scores.length - 1];
-    const maxScore = Math.max(...scores);
-    const serverScore = monotonic ? lastEntryScore : maxScore;
-    const serverScoreInt = Math.floor(serverScore);
-    const serverSurvivalInt = Math.floor(lastTime);
+    const serverScoreInt = sim.score;
+    const serverSurvivalInt = sim.survivalTicks;
+    const { periodIndex } = computePeriod(Date.now(), DURATION_MS); // the period this play counts for
 
-    console.log(`[ReplaySubmit] Session=${sessionId}, User=${userAddress}, FinalScore=${serverScoreInt}, Entries=${replay.length}, Monotonic=${monotonic}`);
-
-    // --- Duplicate replay check ---
-    const dupCheck = await pool.query("SELECT id FROM verified_plays WHERE replay_hash = $1", [rHash]);
-    if (dupCheck.rows.length) {
-      console.warn(`[ReplaySubmit] Duplicate replay detected. Hash=${rHash}`);
-      return res.status(409).json({ error: "replay already submitted", replayHash: rHash });
-    }
-
-    // --- Save replay in DB (use integers) ---
-    await pool.query(
-      `INSERT INTO verified_plays 
-        (session_id, user_address, replay_hash, score, kills, survival_ticks, raw_replay, created_at)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,NOW())`,
-      [
-        sessionId,
-        (userAddress || "unknown").toString().trim().toLowerCase(),
-        rHash,
-        serverScoreInt,     // INTEGER
-        null,               // kills not tracked yet
-        serverSurvivalInt,  // INTEGER
-        canonical
-      ]
+    // --- Plausibility analysis (anti-cheat) ---
+    const fingerprint = timingFingerprint(inputs);
+    const analysis = await analyzeReplay(
+      { sim, inputs, session: pending, submittedAt: Date.now(), userAddress: pending.userAddress, fingerprint, pool },
+      { flagThreshold: SUSPICION_FLAG_THRESHOLD }
     );
 
-    // --- Mark session as used ---
-    s.used = true;
-    SESSIONS.delete(sessionId);
-    console.log(`[ReplaySubmit] Session ${sessionId} marked used & deleted`);
+    // --- Consume session + save replay atomically ---
+    // The session is only marked used if the replay row is stored too, so a duplicate
+    // replay does not burn the session and two concurrent submits cannot both succeed.
+    const client = await pool.connect();
+    let session;
+    try {
+      await client.query("BEGIN");
+
+      const consumed = await consumeSession(client, sessionId);
+      if (consumed.error) {
+        await client.query("ROLLBACK");
+        console.warn(`[ReplaySubmit] ${consumed.error}. SessionId=${sessionId}`);
+        return res.status(400).json({ error: consumed.error });
+      }
+      session = consumed.session;
+
+      // Replays are attributed only to the wallet proven at start-session
+      if (!session.userAddress) {
+        await client.query("ROLLBACK");
+        console.warn(`[ReplaySubmit] Session not bound to a wallet. SessionId=${sessionId}`);
+        return res.status(403).json({ error: "session not bound to a wallet" });
+      }
+      if (userAddress && String(userAddress).trim().toLowerCase() !== session.userAddress) {
+        await client.query("ROLLBACK");
+        console.warn(`[ReplaySubmit] userAddress ${userAddress} does not own session ${sessionId}`);
+        return res.status(403).json({ error: "userAddress does not match session owner" });
+      }
 
-    // --- Update in-memory leaderboard (same logic as /api/submit-score) ---
-    const addr = String(userAddress || "unknown").trim().toLowerCase();
-    const intScore = serverScoreInt;
-    const intLevel = Number.isFinite(Number(level)) ? Math.max(1, Math.floor(Number(level))) : (db.scores?.[addr]?.level || 1);
+      const inserted = await client.query(
+        `INSERT INTO verified_plays 
+          (session_id, user_address, replay_hash, score, kills, survival_ticks, raw_replay,
+           suspicion_score, suspicion_reasons, review_status, timing_fingerprint, period_index,
+           schema_version, shots, hits, accuracy, max_combo, pickups, damage_taken, created_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,NOW())
+         ON CONFLICT (replay_hash) DO NOTHING
+         RETURNING id`,
+        [
+          sessionId,
+          session.userAddress,
+          rHash,
+          serverScoreInt,     // INTEGER
+          stats.kills,        // INTEGER
+          serverSurvivalInt,  // INTEGER
+          canonical,
+          analysis.suspicionScore,
+          JSON.stringify(analysis.reasons),
+          analysis.reviewStatus,
+          fingerprint,
+          String(periodIndex),
+          schemaVersion,
+          stats.shots,
+          stats.hits,
+          stats.accuracy,
+          stats.maxCombo,
+          stats.pickups,
+          stats.damageTaken
+        ]
+      );
+      if (inserted.rowCount === 0) {
+        await client.query("ROLLBACK");
+        console.warn(`[ReplaySubmit] Duplicate replay detected. Hash=${rHash}`);
+        return res.status(409).json({ error: "replay already submitted", replayHash: rHash });
+      }
 
-    if (!db.scores) db.scores = {};
-    db.scores[addr] = db.scores[addr] || {
-      user_address: addr,
-      email: null,
-      profile_name: null,
-      highest_score: 0,
-      games_played: 0,
-      last_score: null,
-      level: intLevel,
-      last_updated: new Date().toISOString()
-    };
-
-    if (profile_name) db.scores[addr].profile_name = String(profile_name).trim();
-    if (email) db.scores[addr].email = String(email).trim();
-
-    db.scores[addr].last_score = intScore;
-    db.scores[addr].games_played = Number(db.scores[addr].games_played || 0) + 1;
-    db.scores[addr].level = intLevel;
-    if (intScore > Number(db.scores[addr].highest_score || 0)) {
-      db.scores[addr].highest_score = intScore;
+      await client.query("COMMIT");
+    } catch (err) {
+      try { await client.query("ROLLBACK"); } catch (e) {}
+      throw err;
+    } finally {
+      client.release();
+    }
+    console.log(`[ReplaySubmit] Session=${sessionId}, User=${session.userAddress}, FinalScore=${serverScoreInt}, Kills=${sim.kills}, SurvivalTicks=${serverSurvivalInt}, Inputs=${inputs.length} (session consumed)`);
+
+    // --- Flagged plays stay out of the leaderboard (and payouts) until reviewed ---
+    if (analysis.flagged) {
+      console.warn(`[ReplaySubmit] Play flagged for review. User=${session.userAddress}, Suspicion=${analysis.suspicionScore}, Reasons=${analysis.reasons.map(r => r.rule).join(",")}`);
+      return res.json({
+        ok: true,
+        replayHash: rHash,
+        flagged: true,
+        result: { score: sim.score, survivalTicks: sim.survivalTicks, kills: sim.kills },
+        stats,
+        message: "accepted (pending review)"
+      });
     }
-    db.scores[addr].last_updated = new Date().toISOString();
 
-    await saveScore(pool, db, db.scores[addr]);
-    console.log(`[ReplaySubmit] Leaderboard updated. User=${addr}, Score=${intScore}, Level=${intLevel}`);
+    // --- Update leaderboard ---
+    // level is not taken from the client: it decides the payout bracket (see applyPlayResult)
+    const { saved, achievements } = await applyPlayResult(session.userAddress, { score: serverScoreInt, periodIndex, stats }, { profile_name, email });
+    console.log(`[ReplaySubmit] Leaderboard updated. User=${saved.user_address}, Score=${serverScoreInt}, Level=${saved.level}`);
+    live.publishPlay({
+      replayHash: rHash,
+      user_address: session.userAddress,
+      score: serverScoreInt,
+      kills: stats.kills,
+      survival_ticks: serverSurvivalInt,
+      period_index: periodIndex
+    });
 
     return res.json({
       ok: true,
       replayHash: rHash,
-      saved: db.scores[addr],
-      message: monotonic ? "accepted" : "accepted (non-monotonic times; validated using max score)"
+      saved,
+      result: { score: sim.score, survivalTicks: sim.survivalTicks, kills: sim.kills },
+      stats,
+      achievements,
+      message: "accepted"
     });
   } catch (err) {
     console.error("[ReplaySubmit] Unexpected error:", err);
@@ -391,48 +731,46 @@ app.post("/api/submit-replay", async (req, res) => {
 
 
 
-// Submit score (now accepts optional 'level' + profile_name + email)
+// Submit score (optional profile_name + email; level is ignored like on every public path)
+// Dev only: unauthenticated and bypasses replay verification. Enabled with DEV_MODE=true.
 app.post("/api/submit-score", async (req,res) => {
+  if (!DEV_MODE) return res.status(404).json({ ok:false, error:"submit-score is disabled; trusted servers use /api/ingest/score" });
   try {
-    const { user, score, profile_name, email, level } = req.body;
+    const { user, score, profile_name, email } = req.body;
     if (!user || score === undefined || score === null) return res.status(400).json({ ok:false, error:"Missing user or score" });
 
     const addr = String(user).trim().toLowerCase();
     const intScore = Math.floor(Number(score) || 0);
-    const intLevel = Number.isFinite(Number(level)) ? Math.max(1, Math.floor(Number(level))) : (db.scores?.[addr]?.level || 1);
+    const { periodIndex } = computePeriod(Date.now(), DURATION_MS);
+    const { saved } = await applyPlayResult(addr, { score: intScore, periodIndex }, { profile_name, email });
 
-    if (!db.scores) db.scores = {};
-
-    db.scores[addr] = db.scores[addr] || {
-      user_address: addr,
-      email: null,
-      profile_name: null,
-      highest_score: 0,
-      games_played: 0,
-      last_score: null,
-      level: intLevel,
-      last_updated: new Date().toISOString()
-    };
-
-    if (profile_name) db.scores[addr].profile_name = String(profile_name).trim();
-    if (email) db.scores[addr].email = String(email).trim();
-
-    db.scores[addr].last_score = intScore;
-    db.scores[addr].games_played = Number(db.scores[addr].games_played || 0) + 1;
-    db.scores[addr].level = intLevel;
-    if (intScore > Number(db.scores[addr].highest_score || 0)) db.scores[addr].highest_score = intScore;
-    db.scores[addr].last_updated = new Date().toISOString();
-
-    // persist to Postgres (saveScore will update db cache too)
-    await saveScore(pool, db, db.scores[addr]);
-
-    return res.json({ ok:true, saved: db.scores[addr] });
+    return res.json({ ok:true, saved });
   } catch(err) {
     console.error("submit-score error:", err);
     return res.status(500).json({ ok:false, error:String(err) });
   }
 });
 
+// Trusted game servers report results here: Ed25519-signed, per-key scopes (see ingestAuth.js)
+app.post("/api/ingest/score", requireSignedRequest(pool, "scores:write", { maxSkewMs: INGEST_MAX_SKEW_MS }), async (req, res) => {
+  try {
+    const { user, score, profile_name, email, level } = req.body || {};
+    if (!user || !ethers.isAddress(String(user))) return res.status(400).json({ ok:false, error:"missing or invalid user" });
+    const intScore = Number(score);
+    if (!Number.isInteger(intScore) || intScore < 0) return res.status(400).json({ ok:false, error:"score must be a non-negative integer" });
+
+    const addr = String(user).trim().toLowerCase();
+    const { periodIndex } = computePeriod(Date.now(), DURATION_MS);
+    const { saved } = await applyPlayResult(addr, { score: intScore, periodIndex }, { level, profile_name, email });
+    console.log(`[Ingest] key=${req.apiClient.keyId} user=${addr} score=${intScore}`);
+
+    return res.json({ ok:true, saved });
+  } catch (err) {
+    console.error("/api/ingest/score error:", err);
+    return res.status(500).json({ ok:false, error:String(err) });
+  }
+});
+
 // Update profile name
 app.post("/api/update-profile", async (req,res) => {
   try {
@@ -457,58 +795,93 @@ app.post("/api/update-profile", async (req,res) => {
       delete db.profileNames[oldNormalized];
     }
 
-    db.scores[addr] = db.scores[addr] || {
-      user_address: addr, email:null, profile_name:null, highest_score:0, games_played:0, level:1, last_updated:new Date().toISOString()
-    };
-    db.scores[addr].profile_name = raw;
-    db.scores[addr].last_updated = new Date().toISOString();
-
-    // persist score first (ensure FK target exists), then profile name
-    await saveScore(pool, db, db.scores[addr]);
+    // persist score row first (ensure FK target exists), then profile name.
+    // Only profile_name is written so a stale cache can't overwrite scores.
+    const saved = await updateScoreProfile(pool, db, addr, { profile_name: raw });
     await saveProfileName(pool, db, normalized, addr);
 
-    return res.json({ ok:true, message:"profile_name set", saved: db.scores[addr] });
+    return res.json({ ok:true, message:"profile_name set", saved });
   } catch(err) {
     console.error("/api/update-profile error:", err);
     return res.status(500).json({ ok:false, error:String(err) });
   }
 });
 
-// Leaderboard cache kept in-memory and refreshed periodically (uses getLeaderboard)
-let leaderboardCache = [];
-function refreshLeaderboardCache() {
+// New /api/leaderboard route: a page of the board + optional user record + rank
+// ?period=all (default, all-time) | current | <periodIndex>
+// ?rankMode=ordinal (default) | competition | dense
+// ?bracket=<level bracket id> (e.g. 6-15) ranks only players in that level bracket
+// Paging: ?limit=&offset= or ?limit=&cursor=<nextCursor>; ?around=<address>&radius=N for the
+// players either side of an address (its entry is returned as around; ?user still fills
+// player). total is the number of ranked players on the board.
+app.get("/api/leaderboard", async (req,res) => {
   try {
-    const result = getLeaderboard(db, 100, null); // top 100 cached
-    leaderboardCache = result.leaderboard || [];
-  } catch (err) {
-    console.error("refreshLeaderboardCache error:", err);
-    leaderboardCache = Object.values(db.scores || {})
-      .sort((a,b) => (Number(b.highest_score||0) - Number(a.highest_score||0)))
-      .slice(0, 100);
-  }
-}
-refreshLeaderboardCache();
-setInterval(refreshLeaderboardCache, 5000);
-
-// New /api/leaderboard route: top N + optional user record + rank
-app.get("/api/leaderboard", (req,res) => {
-  try {
-    const limit = Math.min(100, Number(req.query.limit || 10));
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit || 10)));
     const user = req.query.user ? String(req.query.user).trim().toLowerCase() : null;
+    const rankMode = req.query.rankMode ? String(req.query.rankMode).trim().toLowerCase() : DEFAULT_RANK_MODE;
+    if (!RANK_MODES.includes(rankMode)) return res.status(400).json({ ok:false, error:`rankMode must be one of ${RANK_MODES.join(", ")}` });
+
+    const bracket = req.query.bracket ? String(req.query.bracket).trim() : null;
+    if (bracket && !LEVEL_BRACKETS.some(b => b.id === bracket)) {
+      return res.status(400).json({ ok:false, error:`bracket must be one of: ${LEVEL_BRACKETS.map(b => b.id).join(", ") || "(no brackets configured)"}` });
+    }
+    const around = req.query.around ? String(req.query.around).trim().toLowerCase() : null;
+    const radius = Math.min(50, Math.max(0, Math.floor(Number(req.query.radius ?? 5))));
+    if (Number.isNaN(radius)) return res.status(400).json({ ok:false, error:"radius must be a number" });
+    const offset = Math.max(0, Math.floor(Number(req.query.offset || 0)));
+    if (Number.isNaN(offset)) return res.status(400).json({ ok:false, error:"offset must be a number" });
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) return res.status(400).json({ ok:false, error:"invalid cursor" });
+    }
+
+    const periodParam = req.query.period === undefined ? "all" : String(req.query.period).trim().toLowerCase();
+    let period = "all";
+    if (periodParam === "current") {
+      period = computePeriod(Date.now(), DURATION_MS).periodIndex;
+    } else if (periodParam !== "all") {
+      period = Number(periodParam);
+      if (!Number.isInteger(period)) return res.status(400).json({ ok:false, error:"period must be all, current or a period index" });
+    }
+    if (period !== "all") await loadPeriodScores(pool, db, period);
 
-    // Prefer in-memory computed leaderboard for speed, but compute rank for player via helper
     // Use getLeaderboard for consistent result (it computes rank)
-    const { leaderboard, player } = getLeaderboard(db, limit, user);
+    const page = getLeaderboard(db, limit, user, { period, rankMode, bracket, offset, cursor, around, radius });
+    if (around && !page.around) {
+      return res.status(404).json({ ok:false, error:"player is not ranked on this board", total: page.total });
+    }
 
-    return res.json({ ok: true, count: leaderboard.length, leaderboard, player });
+    return res.json({
+      ok: true,
+      period,
+      rankMode,
+      bracket,
+      total: page.total,
+      offset: page.offset,
+      count: page.leaderboard.length,
+      nextCursor: page.nextCursor,
+      leaderboard: page.leaderboard,
+      player: page.player,
+      ...(around ? { around: page.around } : {})
+    });
   } catch (err) {
     console.error("/api/leaderboard error:", err);
     return res.status(500).json({ ok:false, error:String(err) });
   }
 });
 
+// Configured level brackets (ids are used by /api/leaderboard?bracket=)
+app.get("/api/brackets", (req, res) => {
+  return res.json({
+    ok: true,
+    payoutMode: PAYOUT_MODE,
+    brackets: LEVEL_BRACKETS.map(b => ({ id: b.id, min: b.min, max: Number.isFinite(b.max) ? b.max : null, weight: b.weight }))
+  });
+});
+
 // Get profile info
-app.get("/api/profile/:address", (req, res) => {
+app.get("/api/profile/:address", async (req, res) => {
   try {
     const addr = String(req.params.address).trim().toLowerCase();
     const record = db.scores[addr] || null;
@@ -519,7 +892,12 @@ app.get("/api/profile/:address", (req, res) => {
       ok: true,
       user_address: addr,
       profile_name: record.profile_name,
-      level: record.level ?? 1
+      level: record.level ?? 1,
+      games_played: Number(record.games_played || 0),
+      total_kills: Number(record.total_kills || 0),
+      accuracy: playerAccuracy(record),
+      best_combo: Number(record.best_combo || 0),
+      achievements: await getPlayerAchievements(pool, ACHIEVEMENT_RULES, addr)
     });
   } catch (err) {
     console.error("/api/profile error:", err);
@@ -527,6 +905,17 @@ app.get("/api/profile/:address", (req, res) => {
   }
 });
 
+// Achievement catalog (rules from ACHIEVEMENTS_FILE) with unlock counts
+app.get("/api/achievements", async (req, res) => {
+  try {
+    const achievements = await achievementCatalog(pool, ACHIEVEMENT_RULES);
+    return res.json({ ok: true, count: achievements.length, achievements });
+  } catch (err) {
+    console.error("/api/achievements error:", err);
+    return res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
 // Period info
 app.get("/api/period", (req,res) => {
   try {
@@ -547,31 +936,32 @@ app.post("/admin/wipe-leaderboard", async (req, res) => {
     await pool.query(`
       UPDATE scores
       SET highest_score = 0,
+          highest_score_at = NULL,
           last_score = NULL,
           games_played = 0,
           level = 1,
+          total_kills = 0,
+          total_shots = 0,
+          total_hits = 0,
+          best_combo = 0,
           last_updated = NOW()
     `);
 
+    // Period results are part of the leaderboard too
+    await pool.query(`DELETE FROM period_scores`);
+
     await pool.query("COMMIT");
+    db.periodScores = {};
 
     // Reload in-memory cache (scores)
     const scoresRes = await pool.query(`SELECT * FROM scores`);
     db.scores = {};
     for (const r of scoresRes.rows) {
-      const addr = (r.user_address || "").toLowerCase();
-      if (!addr) continue;
-      db.scores[addr] = {
-        user_address: addr,
-        profile_name: r.profile_name || null,
-        email: r.email || null,
-        highest_score: Number(r.highest_score ?? 0),
-        last_score: r.last_score === null ? null : Number(r.last_score),
-        games_played: Number(r.games_played ?? 0),
-        level: Number(r.level ?? 1),
-        last_updated: r.last_updated ? new Date(r.last_updated).toISOString() : new Date().toISOString()
-      };
+      const entry = rowToScore(r);
+      if (entry) db.scores[entry.user_address] = entry;
     }
+    rebuildRankIndex(db);
+    live.scoresChanged();
 
     // Reload profile names mapping (left intact in DB)
     const profileRes = await pool.query(`SELECT normalized_name, owner_address FROM profile_names`);
@@ -609,6 +999,83 @@ app.post("/admin/wipe-periods", async (req, res) => {
 
 
 
+// Per-period payout options: the strategy in force for the period and the season it starts
+// in (which decides the bonus share held back)
+async function payoutOptions(periodIndex) {
+  const season = await seasonAt(pool, periodBounds(periodIndex, DURATION_MS).periodStart);
+  const strategy = payoutStrategyFor(await loadPayoutSchedule(pool), periodIndex, DEFAULT_PAYOUT_STRATEGY);
+  return {
+    gasLimit: GAS_LIMIT,
+    confirmTimeoutMs: PAYOUT_CONFIRM_TIMEOUT_MS,
+    pool,
+    entryChecker,
+    requireEntry: REQUIRE_ENTRY_FOR_PAYOUT,
+    tieMode: PAYOUT_TIE_MODE,
+    payoutMode: PAYOUT_MODE,
+    strategy,
+    heldWei: await heldReserveWei(pool, { exceptPeriod: periodIndex }),
+    reserveBps: season?.bonusBps || 0,
+    houseSplitBps: HOUSE_SPLIT_BPS,
+    onStatus: live.publishPeriodStatus,
+    // the reserve is part of the plan: written with it, before any tx (a failure aborts the payout)
+    onPlanned: async (client, periodIndex, result) => {
+      if (!season) return;
+      await recordSeasonReserve(client, season.id, periodIndex, result.reserved || "0");
+      console.log(`[Seasons] Period ${periodIndex}: reserved ${result.reserved || "0"} wei for season ${season.id}`);
+    },
+    onDiscarded: (client, periodIndex) => dropSeasonReserve(client, periodIndex),
+    onPaid: async (periodIndex, result) => {
+      await evaluatePeriodAchievements(pool, ACHIEVEMENT_RULES, periodIndex, result.board);
+      if (season) {
+        const awarded = await awardSeasonPoints(pool, season, periodIndex, result.board);
+        console.log(`[Seasons] Period ${periodIndex}: ${awarded} player(s) scored points in season ${season.id}`);
+      }
+    }
+  };
+}
+
+// Pay a finished season's reserved bonus to the top of its standings (admin, see seasons.js).
+// Returns { season } or { error, status }.
+async function paySeasonBonus(seasonId) {
+  const season = await getSeason(pool, seasonId);
+  if (!season) return { error: "season not found", status: 404 };
+  if (!season.bonusBps) return { error: "season has no bonus", status: 400 };
+  if (Date.parse(season.endsAt) > Date.now()) return { error: "season has not ended yet", status: 409 };
+  const claimed = await claimSeasonBonus(pool, seasonId);
+  if (!claimed) return { error: "season bonus is already paid or being paid", status: 409 };
+
+  let tx = null;
+  try {
+    const plan = await seasonBonusPlan(pool, claimed);
+    if (plan.winners.length) {
+      tx = await contract.payPlayers(plan.winners, plan.amounts.map(a => BigInt(a)), { gasLimit: GAS_LIMIT });
+      if (tx?.wait) await tx.wait(1);
+    }
+    const txHash = tx?.hash || null;
+    const payouts = plan.winners.map((w, i) => ({ to: w, amount: plan.amounts[i], rank: plan.ranks[i] }));
+    console.log(`[Seasons] Season ${seasonId} bonus paid: ${plan.reservedWei} wei reserved, ${payouts.length} winner(s), tx=${txHash}`);
+    return { season: await finishSeasonBonus(pool, seasonId, { status: "paid", txHash, payouts }) };
+  } catch (err) {
+    console.error(`[Seasons] Season ${seasonId} bonus payout failed:`, err);
+    // A broadcast tx may still be mined: stay "paying" (no retry button) until checked by hand
+    const status = tx?.hash ? "paying" : "failed";
+    await finishSeasonBonus(pool, seasonId, { status, txHash: tx?.hash || null, error: err?.message || String(err) });
+    return { error: `bonus payout failed: ${err?.message || err}`, status: 502 };
+  }
+}
+
+// Finish payouts left open (see reconcilePayouts). One reconcile at a time: startup and every
+// processing run share the one in flight.
+let reconciling = null;
+function reconcileOpenPayouts({ resume = false } = {}) {
+  if (!reconciling) {
+    reconciling = reconcilePayouts(contract, db, TOP_N, HOUSE_FEE_BPS, { pool, optsFor: payoutOptions, resume })
+      .catch(err => console.error("[Payout] Reconcile error:", err))
+      .finally(() => { reconciling = null; });
+  }
+  return reconciling;
+}
+
 // Process now (force)
 app.post("/api/process-now", async (req,res) => {
   try {
@@ -616,7 +1083,9 @@ app.post("/api/process-now", async (req,res) => {
     const { periodIndex } = computePeriod(ts, DURATION_MS);
     console.log("Manual processing of period", periodIndex, new Date().toISOString());
     console.log(TOP_N, HOUSE_FEE_BPS, GAS_LIMIT);
-    await processPeriod(contract, db, periodIndex, TOP_N, HOUSE_FEE_BPS, { gasLimit:GAS_LIMIT, pool });
+    // earlier payouts whose receipts timed out are settled first
+    await reconcileOpenPayouts();
+    await processPeriod(contract, db, periodIndex, TOP_N, HOUSE_FEE_BPS, await payoutOptions(periodIndex));
     return res.json({ ok:true, record: db.periods[periodIndex]||null });
   } catch(err) { return res.status(500).json({ ok:false, error:String(err) }); }
 });
@@ -626,11 +1095,17 @@ const job = cron.schedule(CRON_SCHEDULE, async () => {
   try {
     const { periodIndex } = computePeriod(Date.now()-1000, DURATION_MS);
     console.log("Cron processing period", periodIndex, new Date().toISOString());
-    await processPeriod(contract, db, periodIndex, TOP_N, HOUSE_FEE_BPS, { gasLimit: GAS_LIMIT, pool });
+    await reconcileOpenPayouts();
+    await processPeriod(contract, db, periodIndex, TOP_N, HOUSE_FEE_BPS, await payoutOptions(periodIndex));
   } catch(err){
     console.error("Cron error:", err);
   }
 }, { timezone: "UTC", scheduled: false });
 job.stop();
 // Start
+if (DEV_MODE) console.warn("⚠️  DEV_MODE enabled: unauthenticated /api/submit-score is open");
 app.listen(PORT, ()=>console.log(`Server listening on ${PORT}`));
+
+// Finish payouts interrupted by a crash/restart (receipts decide what already went out).
+// Runs in the background: waiting on pending transactions must not hold up the server.
+reconcileOpenPayouts({ resume: true });
@@ -0,0 +1,196 @@
+// ingestAuth.js
+import crypto from "crypto";
+
+/**
+ * API keys + request signing for trusted game servers
+ *
+ * Each client gets a key id and an Ed25519 private key (PEM, shown once). Only the public key
+ * is stored, so reading the database is not enough to sign requests:
+ *
+ *   x-api-key:   <keyId>
+ *   x-timestamp: <unix ms>
+ *   x-nonce:     <random, single use per key>
+ *   x-signature: hex(Ed25519-sign(privateKey,
+ *                  `${timestamp}\n${nonce}\n${METHOD}\n${path}\n${sha256hex(rawBody)}`))
+ *
+ * Keys created before signatures moved to Ed25519 only have a secret_hash and are refused;
+ * issue a new key for those clients.
+ *
+ * Exports:
+ *  - SCOPES
+ *  - ensureApiKeyTables(pool)
+ *  - createApiKey(pool, { name, scopes })
+ *  - listApiKeys(pool)
+ *  - revokeApiKey(pool, keyId)
+ *  - signRequest({ privateKey, timestamp, nonce, method, path, body })
+ *  - requireSignedRequest(pool, scope, { maxSkewMs })
+ *  - sweepExpiredApiNonces(pool, maxSkewMs)
+ */
+
+export const SCOPES = ["scores:write"];
+const DEFAULT_MAX_SKEW_MS = 5 * 60 * 1000;
+
+// ----------------------- Schema -----------------------
+export async function ensureApiKeyTables(pool) {
+  const sql = `
+CREATE TABLE IF NOT EXISTS api_keys (
+  key_id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  secret_hash TEXT,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  revoked_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS api_nonces (
+  key_id TEXT NOT NULL,
+  nonce TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (key_id, nonce)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_nonces_created_at
+  ON api_nonces (created_at);
+
+-- Ed25519 public keys replace the old sha256(secret) HMAC keys
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS public_key TEXT;
+ALTER TABLE api_keys ALTER COLUMN secret_hash DROP NOT NULL;
+  `;
+  try {
+    await pool.query(sql);
+    console.log("✅ api_keys / api_nonces tables ensured (exists or created).");
+  } catch (err) {
+    console.error("❌ Failed to ensure api key tables:", err);
+    throw err;
+  }
+}
+
+const sha256hex = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+// ----------------------- Key management -----------------------
+export async function createApiKey(pool, { name, scopes = [] }) {
+  if (!name) throw new Error("name required");
+  const unknown = scopes.filter(s => !SCOPES.includes(s));
+  if (unknown.length) throw new Error(`unknown scope(s): ${unknown.join(", ")}`);
+
+  const keyId = "ak_" + crypto.randomBytes(8).toString("hex");
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519", {
+    publicKeyEncoding: { type: "spki", format: "pem" },
+    privateKeyEncoding: { type: "pkcs8", format: "pem" }
+  });
+  await pool.query(
+    `INSERT INTO api_keys(key_id, name, public_key, scopes) VALUES($1, $2, $3, $4)`,
+    [keyId, String(name), publicKey, scopes]
+  );
+  // the private key is never stored; it is only ever returned here
+  return { keyId, privateKey, name: String(name), scopes };
+}
+
+export async function listApiKeys(pool) {
+  const r = await pool.query(
+    `SELECT key_id, name, scopes, created_at, revoked_at, last_used_at FROM api_keys ORDER BY created_at DESC`
+  );
+  return r.rows;
+}
+
+export async function revokeApiKey(pool, keyId) {
+  const r = await pool.query(
+    `UPDATE api_keys SET revoked_at = NOW() WHERE key_id = $1 AND revoked_at IS NULL`,
+    [keyId]
+  );
+  return r.rowCount === 1;
+}
+
+// ----------------------- Signing -----------------------
+function signingPayload({ timestamp, nonce, method, path, body }) {
+  return Buffer.from(`${timestamp}\n${nonce}\n${String(method).toUpperCase()}\n${path}\n${sha256hex(body || "")}`);
+}
+
+// Client-side helper (game servers / tests)
+export function signRequest({ privateKey, timestamp, nonce, method, path, body }) {
+  return crypto.sign(null, signingPayload({ timestamp, nonce, method, path, body }), privateKey).toString("hex");
+}
+
+// Express middleware. Needs req.rawBody (set by the express.json verify hook in index.js).
+export function requireSignedRequest(pool, scope, { maxSkewMs = DEFAULT_MAX_SKEW_MS } = {}) {
+  return async function (req, res, next) {
+    try {
+      const keyId = req.headers["x-api-key"];
+      const timestamp = req.headers["x-timestamp"];
+      const nonce = req.headers["x-nonce"];
+      const signature = req.headers["x-signature"];
+      if (!keyId || !timestamp || !nonce || !signature) {
+        return res.status(401).json({ ok: false, error: "missing signature headers" });
+      }
+
+      const ts = Number(timestamp);
+      if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > maxSkewMs) {
+        return res.status(401).json({ ok: false, error: "timestamp outside allowed window" });
+      }
+
+      const r = await pool.query(
+        `SELECT key_id, public_key, scopes FROM api_keys WHERE key_id = $1 AND revoked_at IS NULL LIMIT 1`,
+        [String(keyId)]
+      );
+      if (r.rowCount === 0) return res.status(401).json({ ok: false, error: "unknown or revoked api key" });
+      const key = r.rows[0];
+      if (!key.public_key) return res.status(401).json({ ok: false, error: "api key uses retired HMAC signing; issue a new key" });
+
+      const payload = signingPayload({
+        timestamp: String(timestamp),
+        nonce: String(nonce),
+        method: req.method,
+        path: req.originalUrl,
+        body: req.rawBody
+      });
+      const sig = Buffer.from(String(signature), "hex");
+      let valid = false;
+      try {
+        valid = sig.length === 64 && crypto.verify(null, payload, key.public_key, sig);
+      } catch {
+        valid = false;
+      }
+      if (!valid) return res.status(401).json({ ok: false, error: "invalid signature" });
+
+      if (!(key.scopes || []).includes(scope)) {
+        return res.status(403).json({ ok: false, error: `api key lacks scope ${scope}` });
+      }
+
+      // Nonces are single use per key (checked after the signature so strangers can't burn them)
+      const n = await pool.query(
+        `INSERT INTO api_nonces(key_id, nonce) VALUES($1, $2) ON CONFLICT DO NOTHING`,
+        [key.key_id, String(nonce)]
+      );
+      if (n.rowCount === 0) return res.status(401).json({ ok: false, error: "nonce already used" });
+
+      await pool.query(`UPDATE api_keys SET last_used_at = NOW() WHERE key_id = $1`, [key.key_id]);
+      req.apiClient = { keyId: key.key_id, scopes: key.scopes || [] };
+      return next();
+    } catch (err) {
+      console.error("requireSignedRequest error:", err);
+      return res.status(500).json({ ok: false, error: "signature check failed" });
+    }
+  };
+}
+
+// Nonces older than the timestamp window can never be replayed (timestamp check rejects them)
+export async function sweepExpiredApiNonces(pool, maxSkewMs = DEFAULT_MAX_SKEW_MS) {
+  const r = await pool.query(
+    `DELETE FROM api_nonces WHERE created_at < NOW() - ($1::bigint * INTERVAL '1 millisecond')`,
+    [String(maxSkewMs * 2)]
+  );
+  return r.rowCount;
+}
+
+// ----------------------- Exports -----------------------
+export default {
+  SCOPES,
+  ensureApiKeyTables,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  signRequest,
+  requireSignedRequest,
+  sweepExpiredApiNonces
+};
@@ -1,19 +1,50 @@
 // leaderboard.js
 import { ethers } from "ethers";
+import { createRankIndex } from "./rankIndex.js";
+import { savePeriodSnapshot } from "./periodSnapshots.js";
+import { bracketOf, bracketById } from "./brackets.js";
+import { defaultPayoutStrategy, strategyShares } from "./payoutStrategy.js";
+import {
+  getPayoutRun,
+  createPayoutRun,
+  deletePayoutRun,
+  finishPayoutRun,
+  listUnfinishedPayoutRuns,
+  runPayoutStep,
+  resetRevertedStep
+} from "./payoutRuns.js";
 
 /**
  * DB helper functions + off-chain leaderboard logic
  *
  * Exports:
  *  - initDB(pool)
+ *  - rowToScore(row)
+ *  - playerAccuracy(scoreObj)
  *  - saveScore(pool, db, scoreObj)
+ *  - recordScore(pool, db, { user_address, score, level, profile_name, email, stats })
+ *  - updateScoreProfile(pool, db, user_address, { profile_name })
  *  - saveProfileName(pool, db, normalized, owner_address)
  *  - savePeriod(pool, db, periodIndex, periodObj)
+ *  - backfillPeriodScores(pool, DURATION_MS)
+ *  - loadPeriodScores(pool, db, periodIndex, { fresh })
+ *  - recordPeriodScore(pool, db, periodIndex, user_address, score)
  *  - normalizeProfileName(name)
  *  - computePeriod(ts, DURATION_MS)
- *  - computeWinnersFromOffchain(db, TOP_N, HOUSE_FEE_BPS)
- *  - processPeriod(db, periodIndex, TOP_N, HOUSE_FEE_BPS, opts)
- *  - getLeaderboard(db, limit = 10, user = null)
+ *  - periodBounds(periodIndex, DURATION_MS)
+ *  - computeWinnersFromOffchain(contract, db, TOP_N, HOUSE_FEE_BPS, opts)
+ *  - previewPayout(contract, db, periodIndex, TOP_N, HOUSE_FEE_BPS, opts)
+ *  - processPeriod(contract, db, periodIndex, TOP_N, HOUSE_FEE_BPS, opts)
+ *  - reconcilePayouts(contract, db, TOP_N, HOUSE_FEE_BPS, { pool, optsFor, resume })
+ *  - boardEntries(db, period)
+ *  - RANK_MODES, DEFAULT_RANK_MODE, PAYOUT_TIE_MODES, PAYOUT_MODES, DEFAULT_HOUSE_SPLIT_BPS
+ *  - compareEntries(a, b)
+ *  - rankEntries(players, mode)
+ *  - rebuildRankIndex(db)
+ *  - setLevelBrackets(db, brackets)
+ *  - encodeCursor(entry), decodeCursor(cursor)
+ *  - getLeaderboard(db, limit = 10, user = null, opts = {})
+ *  - playerPercentile(db, user)
  */
 
 // ----------------------- DB init & helpers -----------------------
@@ -50,29 +81,47 @@ export async function initDB(pool) {
       k TEXT PRIMARY KEY,
       v JSONB
     );
+    CREATE TABLE IF NOT EXISTS period_scores (
+      period_index BIGINT NOT NULL,
+      user_address TEXT NOT NULL,
+      best_score BIGINT NOT NULL DEFAULT 0,
+      plays INTEGER NOT NULL DEFAULT 0,
+      best_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (period_index, user_address)
+    );
   `);
 
   // Safe migration: ensure 'level' column exists (if older schema)
   await pool.query(`ALTER TABLE scores ADD COLUMN IF NOT EXISTS level INTEGER DEFAULT 1;`);
+  // Safe migration: house fee payout (payHouse tx + amounts per house wallet) on period records
+  await pool.query(`
+    ALTER TABLE periods ADD COLUMN IF NOT EXISTS house_tx_hash TEXT;
+    ALTER TABLE periods ADD COLUMN IF NOT EXISTS house_payout JSONB;
+  `);
+  // Safe migration: aggregate gameplay stats from typed replay events
+  await pool.query(`
+    ALTER TABLE scores ADD COLUMN IF NOT EXISTS total_kills BIGINT DEFAULT 0;
+    ALTER TABLE scores ADD COLUMN IF NOT EXISTS total_shots BIGINT DEFAULT 0;
+    ALTER TABLE scores ADD COLUMN IF NOT EXISTS total_hits BIGINT DEFAULT 0;
+    ALTER TABLE scores ADD COLUMN IF NOT EXISTS best_combo INTEGER DEFAULT 0;
+  `);
+  // Safe migration: when the current best score was first reached (tie-breaker).
+  // Older rows fall back to last_updated, the closest thing we have.
+  await pool.query(`
+    ALTER TABLE scores ADD COLUMN IF NOT EXISTS highest_score_at TIMESTAMPTZ;
+    UPDATE scores SET highest_score_at = last_updated
+    WHERE highest_score_at IS NULL AND highest_score > 0;
+  `);
 
-  const db = { scores: {}, profileNames: {}, periods: {} };
+  const db = { scores: {}, profileNames: {}, periods: {}, periodScores: {} };
 
   // Load scores into in-memory cache
   const scoresRes = await pool.query(`SELECT * FROM scores`);
   for (const r of scoresRes.rows) {
-    const addr = (r.user_address || "").toLowerCase();
-    if (!addr) continue;
-    db.scores[addr] = {
-      user_address: addr,
-      profile_name: r.profile_name || null,
-      email: r.email || null,
-      highest_score: Number(r.highest_score ?? 0),
-      last_score: r.last_score === null ? null : Number(r.last_score),
-      games_played: Number(r.games_played ?? 0),
-      level: Number(r.level ?? 1),
-      last_updated: r.last_updated ? new Date(r.last_updated).toISOString() : new Date().toISOString()
-    };
+    const entry = rowToScore(r);
+    if (entry) db.scores[entry.user_address] = entry;
   }
+  rebuildRankIndex(db);
 
   // Load profile names
   const profileRes = await pool.query(`SELECT * FROM profile_names`);
@@ -89,6 +138,8 @@ export async function initDB(pool) {
       status: r.status || null,
       txHash: r.tx_hash || null,
       payouts: r.payouts || null,
+      houseTxHash: r.house_tx_hash || null,
+      housePayout: r.house_payout || null,
       error: r.error || null,
       updated_at: r.updated_at ? new Date(r.updated_at).toISOString() : new Date().toISOString()
     };
@@ -97,6 +148,33 @@ export async function initDB(pool) {
   return db;
 }
 
+// scores row -> in-memory cache entry (null for rows without an address)
+export function rowToScore(r) {
+  const addr = (r.user_address || "").toLowerCase();
+  if (!addr) return null;
+  return {
+    user_address: addr,
+    profile_name: r.profile_name || null,
+    email: r.email || null,
+    highest_score: Number(r.highest_score ?? 0),
+    last_score: r.last_score === null ? null : Number(r.last_score),
+    games_played: Number(r.games_played ?? 0),
+    level: Number(r.level ?? 1),
+    total_kills: Number(r.total_kills ?? 0),
+    total_shots: Number(r.total_shots ?? 0),
+    total_hits: Number(r.total_hits ?? 0),
+    best_combo: Number(r.best_combo ?? 0),
+    achieved_at: r.highest_score_at ? new Date(r.highest_score_at).toISOString() : null,
+    last_updated: r.last_updated ? new Date(r.last_updated).toISOString() : new Date().toISOString()
+  };
+}
+
+// Accuracy across all counted plays (null until the player has fired)
+export function playerAccuracy(p) {
+  const shots = Number(p?.total_shots || 0);
+  return shots > 0 ? Number(p.total_hits || 0) / shots : null;
+}
+
 export async function saveScore(pool, db, scoreObj) {
   const {
     user_address,
@@ -106,14 +184,20 @@ export async function saveScore(pool, db, scoreObj) {
     last_score = null,
     games_played = 0,
     level = 1,
+    total_kills = 0,
+    total_shots = 0,
+    total_hits = 0,
+    best_combo = 0,
+    achieved_at = null,
     last_updated = new Date().toISOString()
   } = scoreObj;
 
   const userAddress = String(user_address).toLowerCase();
 
   await pool.query(
-    `INSERT INTO scores(user_address, profile_name, email, highest_score, last_score, games_played, level, last_updated)
-     VALUES($1,$2,$3,$4,$5,$6,$7,$8)
+    `INSERT INTO scores(user_address, profile_name, email, highest_score, last_score, games_played, level,
+                        total_kills, total_shots, total_hits, best_combo, highest_score_at, last_updated)
+     VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
      ON CONFLICT(user_address) DO UPDATE
      SET profile_name = EXCLUDED.profile_name,
          email = EXCLUDED.email,
@@ -121,6 +205,11 @@ export async function saveScore(pool, db, scoreObj) {
          last_score = EXCLUDED.last_score,
          games_played = EXCLUDED.games_played,
          level = EXCLUDED.level,
+         total_kills = EXCLUDED.total_kills,
+         total_shots = EXCLUDED.total_shots,
+         total_hits = EXCLUDED.total_hits,
+         best_combo = EXCLUDED.best_combo,
+         highest_score_at = EXCLUDED.highest_score_at,
          last_updated = EXCLUDED.last_updated`,
     [
       userAddress,
@@ -130,11 +219,16 @@ export async function saveScore(pool, db, scoreObj) {
       last_score === null ? null : String(last_score),
       games_played,
       Number(level),
+      String(total_kills),
+      String(total_shots),
+      String(total_hits),
+      Number(best_combo),
+      achieved_at,
       last_updated
     ]
   );
 
-  db.scores[userAddress] = {
+  cacheScore(db, {
     user_address: userAddress,
     profile_name,
     email,
@@ -142,8 +236,78 @@ export async function saveScore(pool, db, scoreObj) {
     last_score: last_score === null ? null : Number(last_score),
     games_played: Number(games_played || 0),
     level: Number(level || 1),
+    total_kills: Number(total_kills || 0),
+    total_shots: Number(total_shots || 0),
+    total_hits: Number(total_hits || 0),
+    best_combo: Number(best_combo || 0),
+    achieved_at,
     last_updated
-  };
+  });
+}
+
+// Atomic per-play update: one statement increments games_played, keeps the best score and
+// accumulates stats in Postgres, so concurrent submits (or other instances) never lose an
+// update. The cache is refreshed from the returned row rather than from local state.
+// highest_score_at only moves when the best score strictly improves (tie-breaker: first to reach it).
+// profile_name / email are only changed when provided; level only ever goes up (it decides the
+// payout bracket, so a lower reported level must not move a player down).
+export async function recordScore(pool, db, { user_address, score, level = null, profile_name = null, email = null, stats = {} }) {
+  const userAddress = String(user_address).toLowerCase();
+  const intScore = Math.max(0, Math.floor(Number(score) || 0));
+  const intLevel = Number.isFinite(Number(level)) && level !== null ? Math.max(1, Math.floor(Number(level))) : null;
+
+  const r = await pool.query(
+    `INSERT INTO scores(user_address, profile_name, email, highest_score, last_score, games_played, level,
+                        total_kills, total_shots, total_hits, best_combo, highest_score_at, last_updated)
+     VALUES($1, $2, $3, $4, $4, 1, COALESCE($5, 1), $6, $7, $8, $9, NOW(), NOW())
+     ON CONFLICT(user_address) DO UPDATE
+     SET profile_name = COALESCE($2, scores.profile_name),
+         email = COALESCE($3, scores.email),
+         highest_score_at = CASE WHEN EXCLUDED.highest_score > COALESCE(scores.highest_score, 0)
+                                 THEN EXCLUDED.highest_score_at ELSE scores.highest_score_at END,
+         highest_score = GREATEST(COALESCE(scores.highest_score, 0), EXCLUDED.highest_score),
+         last_score = EXCLUDED.last_score,
+         games_played = COALESCE(scores.games_played, 0) + 1,
+         level = GREATEST(COALESCE(scores.level, 1), COALESCE($5, 1)),
+         total_kills = COALESCE(scores.total_kills, 0) + EXCLUDED.total_kills,
+         total_shots = COALESCE(scores.total_shots, 0) + EXCLUDED.total_shots,
+         total_hits = COALESCE(scores.total_hits, 0) + EXCLUDED.total_hits,
+         best_combo = GREATEST(COALESCE(scores.best_combo, 0), EXCLUDED.best_combo),
+         last_updated = NOW()
+     RETURNING *`,
+    [
+      userAddress,
+      profile_name ? String(profile_name).trim() : null,
+      email ? String(email).trim() : null,
+      String(intScore),
+      intLevel,
+      String(Number(stats.kills || 0)),
+      String(Number(stats.shots || 0)),
+      String(Number(stats.hits || 0)),
+      Number(stats.maxCombo || 0)
+    ]
+  );
+
+  const entry = rowToScore(r.rows[0]);
+  cacheScore(db, entry);
+  return entry;
+}
+
+// Targeted profile update (never rewrites score columns from a possibly stale cache)
+export async function updateScoreProfile(pool, db, user_address, { profile_name }) {
+  const userAddress = String(user_address).toLowerCase();
+  const r = await pool.query(
+    `INSERT INTO scores(user_address, profile_name, last_updated)
+     VALUES($1, $2, NOW())
+     ON CONFLICT(user_address) DO UPDATE
+     SET profile_name = EXCLUDED.profile_name,
+         last_updated = NOW()
+     RETURNING *`,
+    [userAddress, profile_name]
+  );
+  const entry = rowToScore(r.rows[0]);
+  cacheScore(db, entry);
+  return entry;
 }
 
 export async function saveProfileName(pool, db, normalized, owner_address) {
@@ -160,21 +324,25 @@ export async function savePeriod(pool, db, periodIndex, periodObj) {
   const payoutsJson = periodObj.payouts ? JSON.stringify(periodObj.payouts) : null;
 
   await pool.query(
-    `INSERT INTO periods(period_index, status, tx_hash, payouts, error, updated_at)
-     VALUES($1,$2,$3,$4,$5,$6)
+    `INSERT INTO periods(period_index, status, tx_hash, payouts, error, updated_at, house_tx_hash, house_payout)
+     VALUES($1,$2,$3,$4,$5,$6,$7,$8)
      ON CONFLICT(period_index) DO UPDATE
      SET status = EXCLUDED.status,
          tx_hash = EXCLUDED.tx_hash,
          payouts = EXCLUDED.payouts,
          error = EXCLUDED.error,
-         updated_at = EXCLUDED.updated_at`,
+         updated_at = EXCLUDED.updated_at,
+         house_tx_hash = EXCLUDED.house_tx_hash,
+         house_payout = EXCLUDED.house_payout`,
     [
       String(periodIndex),
       periodObj.status || null,
       periodObj.txHash || null,
       payoutsJson,
       periodObj.error || null,
-      periodObj.updated_at || new Date().toISOString()
+      periodObj.updated_at || new Date().toISOString(),
+      periodObj.houseTxHash || null,
+      periodObj.housePayout ? JSON.stringify(periodObj.housePayout) : null
     ]
   );
 
@@ -183,155 +351,718 @@ export async function savePeriod(pool, db, periodIndex, periodObj) {
     status: periodObj.status || null,
     txHash: periodObj.txHash || null,
     payouts: periodObj.payouts || null, // keep native array in memory
+    houseTxHash: periodObj.houseTxHash || null,
+    housePayout: periodObj.housePayout || null,
     error: periodObj.error || null,
     updated_at: periodObj.updated_at || new Date().toISOString()
   };
 }
 
+// ----------------------- Period-scoped scores -----------------------
+// period_scores is derived from verified_plays (clean or approved plays only), one row per
+// (period, player) holding that player's best score within the period.
+const PERIOD_CACHE_TTL_MS = 5000;
+const PERIOD_CACHE_MAX = 24;
+
+// One-off migration: stamp period_index on older plays and rebuild period_scores from them
+export async function backfillPeriodScores(pool, DURATION_MS) {
+  const stamped = await pool.query(
+    `UPDATE verified_plays
+     SET period_index = FLOOR((EXTRACT(EPOCH FROM created_at) * 1000 - $1) / $2)
+     WHERE period_index IS NULL`,
+    [String(FRIDAY_0_UTC), String(DURATION_MS)]
+  );
+  if (stamped.rowCount === 0) return;
+
+  await pool.query(`
+    INSERT INTO period_scores(period_index, user_address, best_score, plays, best_at)
+    SELECT period_index, user_address, MAX(score), COUNT(*), MIN(created_at) FILTER (WHERE score = best)
+    FROM (
+      SELECT period_index, user_address, score, created_at,
+             MAX(score) OVER (PARTITION BY period_index, user_address) AS best
+      FROM verified_plays
+      WHERE period_index IS NOT NULL AND review_status IN ('clean', 'approved')
+    ) v
+    GROUP BY period_index, user_address
+    ON CONFLICT (period_index, user_address) DO NOTHING
+  `);
+}
+
+function rowToPeriodScore(r) {
+  return {
+    user_address: String(r.user_address).toLowerCase(),
+    highest_score: Number(r.best_score ?? 0),
+    games_played: Number(r.plays ?? 0),
+    achieved_at: r.best_at ? new Date(r.best_at).toISOString() : null
+  };
+}
+
+// Loads (or reuses, if recent) one period's scores into db.periodScores[periodIndex].
+// Pass { fresh: true } when the result decides money (payouts).
+export async function loadPeriodScores(pool, db, periodIndex, { fresh = false } = {}) {
+  if (!db.periodScores) db.periodScores = {};
+  const key = String(periodIndex);
+  const cached = db.periodScores[key];
+  if (!fresh && cached && Date.now() - cached.loadedAt < PERIOD_CACHE_TTL_MS) return cached.entries;
+
+  const r = await pool.query(`SELECT * FROM period_scores WHERE period_index = $1`, [key]);
+  const entries = {};
+  for (const row of r.rows) {
+    const p = rowToPeriodScore(row);
+    entries[p.user_address] = p;
+  }
+  db.periodScores[key] = { loadedAt: Date.now(), entries, index: null, bracketIndexes: null }; // indexes built on first read
+
+  // keep only the most recent periods in memory
+  const keys = Object.keys(db.periodScores).sort((a, b) => Number(a) - Number(b));
+  while (keys.length > PERIOD_CACHE_MAX) delete db.periodScores[keys.shift()];
+
+  return entries;
+}
+
+// Atomic upsert of a counted play into its period (safe with concurrent submits)
+export async function recordPeriodScore(pool, db, periodIndex, user_address, score) {
+  const addr = String(user_address).toLowerCase();
+  const r = await pool.query(
+    `INSERT INTO period_scores(period_index, user_address, best_score, plays, best_at)
+     VALUES($1, $2, $3, 1, NOW())
+     ON CONFLICT (period_index, user_address) DO UPDATE
+     SET plays = period_scores.plays + 1,
+         best_at = CASE WHEN EXCLUDED.best_score > period_scores.best_score
+                        THEN EXCLUDED.best_at ELSE period_scores.best_at END,
+         best_score = GREATEST(period_scores.best_score, EXCLUDED.best_score)
+     RETURNING *`,
+    [String(periodIndex), addr, String(Math.floor(Number(score) || 0))]
+  );
+  const entry = rowToPeriodScore(r.rows[0]);
+  const cached = db.periodScores?.[String(periodIndex)];
+  if (cached) {
+    cached.entries[addr] = entry;
+    if (cached.index) indexEntry(cached.index, entry);
+    if (cached.bracketIndexes) indexBracketEntry(db, cached.bracketIndexes, entry);
+  }
+  return entry;
+}
+
 // ----------------------- Misc helpers -----------------------
 export function normalizeProfileName(name) {
   return String(name || "").trim().toLowerCase();
 }
 
+// Period 0 starts Friday 2025-01-03 00:00 UTC
+const FRIDAY_0_UTC = Date.UTC(2025, 0, 3, 0, 0, 0);
+
 export function computePeriod(ts, DURATION_MS) {
-  const FRIDAY_0_UTC = Date.UTC(2025, 0, 3, 0, 0, 0);
   const periodIndex = Math.floor((ts - FRIDAY_0_UTC) / DURATION_MS);
+  return { periodIndex, ...periodBounds(periodIndex, DURATION_MS) };
+}
+
+export function periodBounds(periodIndex, DURATION_MS) {
   return {
-    periodIndex,
     periodStart: FRIDAY_0_UTC + periodIndex * DURATION_MS,
     periodEnd: FRIDAY_0_UTC + (periodIndex + 1) * DURATION_MS
   };
 }
 
 // ----------------------- Leaderboard helper -----------------------
-// ----------------------- Leaderboard helper -----------------------
-export function getLeaderboard(db, limit = 10, user = null) {
-  if (!db || !db.scores) return { leaderboard: [], player: null };
+// One board entry: all-time (db.scores) or one period (db.periodScores, loaded by the caller
+// via loadPeriodScores) with profile info joined in.
+function boardEntry(db, period, addr) {
+  if (period === null || period === undefined || period === "all") return db.scores?.[addr] || null;
+
+  const p = db.periodScores?.[String(period)]?.entries?.[addr];
+  if (!p) return null;
+  const profile = db.scores?.[addr];
+  return {
+    ...p,
+    profile_name: profile?.profile_name || null,
+    level: Number(profile?.level ?? 1)
+  };
+}
+
+// Score entries keyed by address for a board (see boardEntry)
+export function boardEntries(db, period = null) {
+  if (period === null || period === undefined || period === "all") return db.scores || {};
 
-  // Build an array of all players and normalize score values
-  const allPlayersRaw = Object.values(db.scores || {}).slice();
+  const out = {};
+  for (const addr of Object.keys(db.periodScores?.[String(period)]?.entries || {})) {
+    out[addr] = boardEntry(db, period, addr);
+  }
+  return out;
+}
 
-  // Filter out players with non-positive scores (<= 0)
-  const scoredPlayers = allPlayersRaw
-    .map(p => ({
-      ...p,
-      highest_score: Number(p.highest_score || 0)
-    }))
-    .filter(p => Number(p.highest_score) > 0);
+// All-time gameplay stats shown next to a player on any board
+function playerStats(db, addr) {
+  const p = db.scores?.[addr];
+  return {
+    total_kills: Number(p?.total_kills || 0),
+    accuracy: playerAccuracy(p),
+    best_combo: Number(p?.best_combo || 0)
+  };
+}
+
+// ----------------------- Ranking -----------------------
+// Order: highest score, then whoever reached that score first, then fewest games, then
+// address (so the order is total and identical on every instance).
+// Rank modes for players with equal scores:
+//   competition  "1224" - tied players share a rank, the next rank skips
+//   dense        "1223" - tied players share a rank, no gaps
+//   ordinal      "1234" - the tie-breakers decide, every player gets their own rank
+export const RANK_MODES = ["competition", "dense", "ordinal"];
+export const DEFAULT_RANK_MODE = "ordinal";
+export const PAYOUT_TIE_MODES = ["ordinal", "split"];
+export const PAYOUT_MODES = ["overall", "brackets"];
+// Share of the house fee for houseWallet1 when none is configured: an even split
+export const DEFAULT_HOUSE_SPLIT_BPS = 5000;
 
-  // Sort descending by highest_score
-  scoredPlayers.sort((a, b) => Number(b.highest_score) - Number(a.highest_score));
+// Snapshot of the fields the order depends on (rank index keys are never mutated)
+function sortKey(p) {
+  return {
+    highest_score: Number(p.highest_score ?? p.score ?? 0),
+    achieved_ms: p.achieved_at ? Date.parse(p.achieved_at) : Infinity,
+    games_played: Number(p.games_played || 0),
+    user_address: p.user_address
+  };
+}
+
+function compareKeys(a, b) {
+  if (a.highest_score !== b.highest_score) return b.highest_score - a.highest_score;
+  if (a.achieved_ms !== b.achieved_ms) return a.achieved_ms < b.achieved_ms ? -1 : 1;
+  if (a.games_played !== b.games_played) return a.games_played - b.games_played;
+  return a.user_address < b.user_address ? -1 : a.user_address > b.user_address ? 1 : 0;
+}
+
+export function compareEntries(a, b) {
+  return compareKeys(sortKey(a), sortKey(b));
+}
+
+// Sorted copy of the players with score > 0, each with a `rank` for the given mode.
+// For one-off lists (payouts after filtering); boards use the rank index below.
+export function rankEntries(players, mode = DEFAULT_RANK_MODE) {
+  if (!RANK_MODES.includes(mode)) throw new Error(`unknown rank mode ${mode}`);
+  const sorted = players
+    .map(p => ({ ...p, highest_score: Number(p.highest_score || 0) }))
+    .filter(p => p.highest_score > 0)
+    .sort(compareEntries);
+
+  let rank = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    const tied = i > 0 && sorted[i].highest_score === sorted[i - 1].highest_score;
+    if (mode === "ordinal") rank = i + 1;
+    else if (mode === "competition") rank = tied ? rank : i + 1;
+    else rank = tied ? rank : rank + 1;
+    sorted[i].rank = rank;
+  }
+  return sorted;
+}
+
+// ----------------------- Rank index -----------------------
+// Every board keeps an ordered index of its ranked players (score > 0): db.rankIndex for
+// all-time, db.periodScores[i].index per loaded period. Score writes update it in place,
+// so reads never sort the board. With level brackets configured (setLevelBrackets), each
+// board also gets one index per bracket (bracketIndexes, built on first use), keyed by the
+// player's current level.
+function createBoardIndex() {
+  return createRankIndex({ compare: compareKeys, scoreOf: k => k.highest_score });
+}
+
+function indexEntry(index, p) {
+  if (Number(p.highest_score || 0) > 0) index.upsert(p.user_address, sortKey(p));
+  else index.remove(p.user_address);
+}
+
+// Keep p only in the index of the bracket its player's level falls in
+function indexBracketEntry(db, bracketIndexes, p) {
+  const bracket = bracketOf(db.brackets, db.scores?.[p.user_address]?.level ?? p.level);
+  for (const [id, index] of Object.entries(bracketIndexes)) {
+    if (bracket?.id === id) indexEntry(index, p);
+    else index.remove(p.user_address);
+  }
+}
+
+function buildBracketIndexes(db, entries) {
+  const out = {};
+  for (const b of db.brackets || []) out[b.id] = createBoardIndex();
+  for (const p of Object.values(entries || {})) indexBracketEntry(db, out, p);
+  return out;
+}
+
+// Rebuild the all-time index from db.scores (startup, bulk resets)
+export function rebuildRankIndex(db) {
+  db.rankIndex = createBoardIndex();
+  for (const p of Object.values(db.scores || {})) indexEntry(db.rankIndex, p);
+  db.bracketIndexes = null;
+  return db.rankIndex;
+}
+
+// Configure level brackets (see brackets.js); bracket indexes are rebuilt on next use
+export function setLevelBrackets(db, brackets) {
+  db.brackets = brackets || [];
+  db.bracketIndexes = null;
+  for (const cached of Object.values(db.periodScores || {})) cached.bracketIndexes = null;
+}
+
+// Put a fresh all-time entry in the cache and the index
+function cacheScore(db, entry) {
+  db.scores[entry.user_address] = entry;
+  if (db.rankIndex) indexEntry(db.rankIndex, entry);
+  if (db.bracketIndexes) indexBracketEntry(db, db.bracketIndexes, entry);
+}
+
+function boardIndex(db, period, bracket = null) {
+  if (period === null || period === undefined || period === "all") {
+    if (!bracket) return db.rankIndex || rebuildRankIndex(db);
+    if (!db.bracketIndexes) db.bracketIndexes = buildBracketIndexes(db, db.scores);
+    return db.bracketIndexes[bracket] || createBoardIndex();
+  }
+
+  const cached = db.periodScores?.[String(period)];
+  if (!cached) return createBoardIndex();
+  if (bracket) {
+    if (!cached.bracketIndexes) cached.bracketIndexes = buildBracketIndexes(db, cached.entries);
+    return cached.bracketIndexes[bracket] || createBoardIndex();
+  }
+  if (!cached.index) {
+    cached.index = createBoardIndex();
+    for (const p of Object.values(cached.entries)) indexEntry(cached.index, p);
+  }
+  return cached.index;
+}
 
-  // Build leaderboard limited to requested size
-  const leaderboard = scoredPlayers.slice(0, limit).map((p, idx) => ({
+// Throwaway index over a subset of a board (group leaderboards); O(m log m) for m members
+function memberIndex(db, period, members) {
+  const index = createBoardIndex();
+  for (const addr of members) {
+    const p = boardEntry(db, period, String(addr).toLowerCase());
+    if (p) indexEntry(index, p);
+  }
+  return index;
+}
+
+// Keyset cursor: the sort key of the last entry on a page, base64url JSON. Stable while
+// scores change underneath (unlike offsets, nobody is skipped or shown twice).
+export function encodeCursor(p) {
+  const key = [Number(p.highest_score ?? p.score ?? 0), p.achieved_at || null, Number(p.games_played || 0), p.user_address];
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+// Returns an entry-shaped sort key, or null if the cursor is malformed
+export function decodeCursor(cursor) {
+  try {
+    const [highest_score, achieved_at, games_played, user_address] = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (!Number.isFinite(highest_score) || typeof user_address !== "string") return null;
+    return { highest_score, achieved_at, games_played, user_address };
+  } catch {
+    return null;
+  }
+}
+
+// opts.period: "all" (default) or a period index whose scores are already loaded
+// opts.rankMode: one of RANK_MODES (default ordinal)
+// opts.bracket: a level bracket id (see setLevelBrackets) - rank only players in that bracket
+// opts.members: addresses (e.g. a group) - rank only these players; user must be one of them
+// Page selection (first match wins):
+//   opts.around + opts.radius  radius players either side of that address (empty if unranked)
+//   opts.cursor                the `limit` players after a nextCursor from a previous page
+//   opts.offset                the `limit` players starting at that position (0-based)
+// Returns { leaderboard, player, around, total, offset, nextCursor }; total counts ranked
+// players, around is the opts.around entry (null if not requested or unranked).
+// Cost is O(log n) per returned entry via the rank index, independent of board size.
+export function getLeaderboard(db, limit = 10, user = null, opts = {}) {
+  if (!db || !db.scores) return { leaderboard: [], player: null, total: 0, offset: 0, nextCursor: null };
+  const mode = opts.rankMode || DEFAULT_RANK_MODE;
+  if (!RANK_MODES.includes(mode)) throw new Error(`unknown rank mode ${mode}`);
+  const bracket = opts.bracket ? bracketById(db.brackets, opts.bracket) : null;
+  if (opts.bracket && !bracket) throw new Error(`unknown level bracket ${opts.bracket}`);
+  const members = opts.members ? new Set(opts.members.map(a => String(a).toLowerCase())) : null;
+  const index = members ? memberIndex(db, opts.period, members) : boardIndex(db, opts.period, bracket?.id);
+  const total = index.size();
+  const hasBrackets = !!db.brackets?.length;
+
+  const toEntry = (p, rank) => ({
     user_address: p.user_address,
     profile_name: p.profile_name || null,
     score: Number(p.highest_score || 0),
     level: Number(p.level ?? 1),
-    rank: idx + 1
-  }));
+    ...playerStats(db, p.user_address),
+    achieved_at: p.achieved_at || null,
+    ...(hasBrackets ? { bracket: bracketOf(db.brackets, p.level)?.id ?? null } : {}),
+    rank
+  });
+
+  let start = 0;
+  let end = 0;
+  let aroundRecord = null;
+  if (opts.around) {
+    const target = String(opts.around).trim().toLowerCase();
+    const center = index.position(target);
+    const radius = Math.max(0, Number(opts.radius ?? 5));
+    if (center >= 0) {
+      start = Math.max(0, center - radius);
+      end = Math.min(total, center + radius + 1);
+      aroundRecord = toEntry(boardEntry(db, opts.period, target), index.rank(target, mode));
+    }
+  } else {
+    if (opts.cursor) start = index.positionAfter(sortKey(opts.cursor));
+    else start = Math.min(total, Math.max(0, Math.floor(Number(opts.offset || 0))));
+    end = Math.min(total, start + limit);
+  }
+
+  const rows = index.range(start, end);
+  const pageEntries = rows.map(r => boardEntry(db, opts.period, r.id));
+  const leaderboard = rows.map((r, i) => toEntry(pageEntries[i], index.rankAt(r.position, r.key, mode)));
+  const nextCursor = end < total && rows.length ? encodeCursor(pageEntries[pageEntries.length - 1]) : null;
 
   // Build player record (if requested). Player may be excluded from leaderboard if score <= 0,
   // but we still return their score and null rank in that case.
   let playerRecord = null;
   if (user) {
     const normalized = String(user).trim().toLowerCase();
-    const p = db.scores[normalized];
-    if (p) {
-      const score = Number(p.highest_score || 0);
-
-      // If player's score > 0 compute rank among scoredPlayers, otherwise rank is null
-      let rank = null;
-      if (score > 0) {
-        const idx = scoredPlayers.findIndex(x => x.user_address === normalized);
-        rank = idx >= 0 ? idx + 1 : null;
-      }
-
-      playerRecord = {
-        user_address: p.user_address,
-        profile_name: p.profile_name || null,
-        score,
-        level: Number(p.level ?? 1),
-        rank
-      };
-    } else {
-      playerRecord = null;
-    }
+    const p = members && !members.has(normalized) ? null : boardEntry(db, opts.period, normalized);
+    if (p) playerRecord = toEntry(p, index.rank(normalized, mode));
   }
 
-  return { leaderboard, player: playerRecord };
+  return { leaderboard, player: playerRecord, around: aroundRecord, total, offset: start, nextCursor };
 }
 
+// Where a player stands on the all-time board: { rank (competition), total, percentile }.
+// percentile is the share of ranked players with a strictly lower best score (0-100);
+// all null if the player is unranked.
+export function playerPercentile(db, user) {
+  const addr = String(user).trim().toLowerCase();
+  const index = boardIndex(db, "all");
+  const total = index.size();
+  const key = index.keyOf(addr);
+  if (!key) return { rank: null, total, percentile: null };
 
-// ----------------------- Off-chain computation -----------------------
+  // sorts after every entry with the same score, so this counts everyone at or above it
+  const atOrAbove = index.positionAfter({
+    highest_score: key.highest_score,
+    achieved_ms: Infinity,
+    games_played: Infinity,
+    user_address: "\uffff"
+  });
+  return {
+    rank: index.rank(addr, "competition"),
+    total,
+    percentile: Math.round(((total - atOrAbove) / total) * 10000) / 100
+  };
+}
 
-// Compute winners using off-chain leaderboard, but read poolBalance on-chain to determine amounts
 // ----------------------- Off-chain computation -----------------------
 
-// Compute winners using off-chain leaderboard, but read poolBalance on-chain to determine amounts
-export async function computeWinnersFromOffchain(contract, db) {
-  // Read pool balance from contract
+// Compute winners using off-chain leaderboard, but read poolBalance on-chain to determine amounts.
+// opts.periodIndex (+ opts.pool): rank only the best scores set during that period.
+// opts.entryChecker + opts.requireEntry: only addresses that deposited this round can win.
+// opts.tieMode: how prizes go to players with equal scores (PAYOUT_TIE_MODES):
+//   ordinal (default) - tie-breakers decide, each player takes one position's percentage
+//   split             - tied players share the combined percentages of their positions equally
+// opts.payoutMode: overall (default) or brackets - split the pool across level brackets by
+// weight (opts.brackets, default db.brackets) and pick winners inside each bracket.
+// opts.strategy: house fee + position shares (see payoutStrategy.js); defaults to the legacy
+// table cut to TOP_N (rescaled to 100%) with a HOUSE_FEE_BPS house fee.
+// opts.heldWei: wei in the contract pool that is spoken for (season bonus reserves) and is
+// left out of the balance. opts.reserveBps: share of this period's payout pool to hold back
+// for the season bonus (result.reserved).
+// opts.houseSplitBps: share of the house fee for houseWallet1 (result.house1), the rest goes
+// to houseWallet2 (result.house2); default DEFAULT_HOUSE_SPLIT_BPS (an even split).
+// A period without an eligible winner pays nobody, not even the house (the whole pool rolls
+// over); if it was played at all, result.resetRound asks processPeriod to reset the round.
+export async function computeWinnersFromOffchain(contract, db, TOP_N, HOUSE_FEE_BPS, opts = {}) {
+  const tieMode = opts.tieMode || "ordinal";
+  if (!PAYOUT_TIE_MODES.includes(tieMode)) throw new Error(`unknown payout tie mode ${tieMode}`);
+  const payoutMode = opts.payoutMode || "overall";
+  if (!PAYOUT_MODES.includes(payoutMode)) throw new Error(`unknown payout mode ${payoutMode}`);
+  const brackets = opts.brackets || db.brackets || [];
+  if (payoutMode === "brackets" && !brackets.length) throw new Error("payout mode brackets needs level brackets configured");
+  const strategy = opts.strategy || defaultPayoutStrategy(TOP_N, HOUSE_FEE_BPS);
+  const sharesBps = strategyShares(strategy);
+  const houseSplitBps = opts.houseSplitBps ?? DEFAULT_HOUSE_SPLIT_BPS;
+  if (!Number.isInteger(houseSplitBps) || houseSplitBps < 0 || houseSplitBps > 10000) {
+    throw new Error(`house split must be an integer from 0 to 10000 bps, got ${houseSplitBps}`);
+  }
+
+  // Get players (period results when a period is given, otherwise all-time), ranked the same
+  // way as the public leaderboard (score, first to reach it, fewest games)
+  let allScores;
+  if (opts.periodIndex !== undefined && opts.periodIndex !== null) {
+    if (opts.pool) await loadPeriodScores(opts.pool, db, opts.periodIndex, { fresh: true });
+    allScores = Object.values(boardEntries(db, opts.periodIndex));
+  } else {
+    allScores = Object.values(db.scores || {});
+  }
+  const fullBoard = rankEntries(allScores, "ordinal");
+
+  // Entry gate: getCurrentPlayers() is the round's depositor list (reset after each payout).
+  // Read fresh - a failed lookup throws so the period is marked failed instead of paying unpaid players.
+  // exclusionOf(p): why p cannot be paid this period, or null
+  let depositors = null;
+  if (opts.requireEntry && opts.entryChecker) {
+    depositors = await opts.entryChecker.getCurrentPlayers({ fresh: true });
+  }
+  const exclusionOf = (p) => {
+    if (depositors && !depositors.has(String(p.user_address).toLowerCase())) return "no entry deposit this round";
+    if (payoutMode === "brackets" && !bracketOf(brackets, p.level)) return `level ${Number(p.level ?? 1)} is not in any bracket`;
+    return null;
+  };
+  const isEligible = (p) => exclusionOf(p) === null;
+
+  // Full standings as they were used for this payout (kept in the period snapshot)
+  const board = fullBoard.map(p => ({
+    rank: p.rank,
+    user_address: p.user_address,
+    profile_name: p.profile_name || null,
+    score: p.highest_score,
+    games_played: Number(p.games_played || 0),
+    achieved_at: p.achieved_at || null,
+    level: Number(p.level ?? 1),
+    ...(payoutMode === "brackets" ? { bracket: bracketOf(brackets, p.level)?.id ?? null } : {}),
+    eligible: isEligible(p),
+    excluded: exclusionOf(p)
+  }));
+
+  // Read pool balance from contract. A failed read throws (period marked failed, can be retried)
+  // rather than settling the period as "nothing to pay".
   let poolBalanceBN = 0n;
   try {
     const pb = await contract.poolBalance();
     poolBalanceBN = typeof pb === "bigint" ? pb : BigInt(pb?.toString?.() ?? "0");
   } catch (err) {
     console.error("Cannot read poolBalance:", err);
-    return { winners: [], amounts: [], house: "0", poolBalanceBN: "0" };
+    throw new Error(`cannot read poolBalance: ${err?.message || err}`);
   }
 
-  if (poolBalanceBN === 0n) return { winners: [], amounts: [], house: "0", poolBalanceBN: "0" };
+  // contractBalance: poolBalance() as read; poolBalanceBN: what this period may pay from
+  const contractBalance = poolBalanceBN.toString();
+  const heldBN = BigInt(opts.heldWei || 0);
+  poolBalanceBN = poolBalanceBN > heldBN ? poolBalanceBN - heldBN : 0n;
 
-  // Get top players
-  const allScores = Object.values(db.scores || {});
-  if (!allScores.length) return { winners: [], amounts: [], house: "0", poolBalanceBN: poolBalanceBN.toString() };
+  const empty = { winners: [], amounts: [], ranks: [], house: "0", house1: "0", house2: "0", houseSplitBps, reserved: "0", contractBalance, heldWei: heldBN.toString(), poolBalanceBN: poolBalanceBN.toString(), tieMode, payoutMode, strategy, board, percents: [] };
+  if (poolBalanceBN === 0n) return empty;
 
-  allScores.sort((a, b) => (b.highest_score || 0) - (a.highest_score || 0));
-  const topPlayers = allScores.slice(0, 10); // max 10 players
-
-  // Compute house fee (30% of the total pool)
-  const houseFeeBN = (poolBalanceBN * 30n) / 100n; // 30% for house
-  const payoutPoolBN = poolBalanceBN - houseFeeBN; // The 70% of the pool to be distributed
-
-  // Payout percentages for top 10 positions
-  const playerPercents = [49, 29, 9, 2, 2, 2, 2, 2, 2, 2];
+  // House fee first, then the season bonus share; the rest is the payout pool
+  const houseFeeBN = (poolBalanceBN * BigInt(strategy.houseFeeBps)) / 10000n;
+  const house1BN = (houseFeeBN * BigInt(houseSplitBps)) / 10000n; // payHouse(amount1, amount2)
+  const house2BN = houseFeeBN - house1BN;
+  const afterHouseBN = poolBalanceBN - houseFeeBN;
+  const reservedBN = (afterHouseBN * BigInt(opts.reserveBps || 0)) / 10000n; // season bonus share
+  const payoutPoolBN = afterHouseBN - reservedBN;
 
+  // Payouts go to eligible players only, ranked among themselves (per bracket in bracket mode)
+  const eligible = fullBoard.filter(isEligible);
   const winners = [];
   const amounts = [];
-  let allocated = 0n;
-
-  // Calculate payouts for each winning player using static percentages
-  for (let i = 0; i < topPlayers.length; i++) {
-    const p = topPlayers[i];
-    winners.push(p.user_address);
-    
-    // Apply the static percentage to the payout pool (70%)
-    const share = (payoutPoolBN * BigInt(playerPercents[i])) / 100n;
-    
-    amounts.push(share);
-    allocated += share;
+  const ranks = [];
+  const bracketResults = [];
+
+  if (payoutMode === "brackets") {
+    // The payout pool is split across brackets by weight; each bracket pays its own top
+    // positions with the same percentages. An empty bracket's share stays in the pool.
+    const totalWeight = brackets.reduce((a, b) => a + b.weight, 0);
+    for (const b of brackets) {
+      const bracketPoolBN = totalWeight > 0 ? (payoutPoolBN * BigInt(b.weight)) / BigInt(totalWeight) : 0n;
+      const inBracket = rankEntries(eligible.filter(p => bracketOf(brackets, p.level)?.id === b.id), "ordinal");
+      const alloc = allocatePrizes(inBracket, bracketPoolBN, sharesBps, tieMode);
+      winners.push(...alloc.winners);
+      amounts.push(...alloc.amounts);
+      ranks.push(...alloc.ranks);
+      bracketResults.push({
+        id: b.id,
+        weight: b.weight,
+        pool: bracketPoolBN.toString(),
+        players: inBracket.length,
+        winners: alloc.winners.map((w, i) => ({ to: w, amount: alloc.amounts[i].toString(), rank: alloc.ranks[i] }))
+      });
+    }
+  } else {
+    const alloc = allocatePrizes(rankEntries(eligible, "ordinal"), payoutPoolBN, sharesBps, tieMode);
+    winners.push(...alloc.winners);
+    amounts.push(...alloc.amounts);
+    ranks.push(...alloc.ranks);
   }
 
-  // The remaining wei will not be re-distributed and stays in the pool balance
-  
+  // The remaining wei (unfilled positions, rounding) is not re-distributed and stays in the pool balance
+  if (!winners.length) return { ...empty, resetRound: board.length > 0 };
+
   return {
     winners,
     amounts: amounts.map(a => a.toString()), // array of strings (wei)
+    ranks,
+    tieMode,
+    payoutMode,
+    brackets: payoutMode === "brackets" ? bracketResults : null,
     house: houseFeeBN.toString(),
-    poolBalanceBN: poolBalanceBN.toString()
+    house1: house1BN.toString(),
+    house2: house2BN.toString(),
+    houseSplitBps,
+    reserved: reservedBN.toString(),
+    contractBalance,
+    heldWei: heldBN.toString(),
+    poolBalanceBN: poolBalanceBN.toString(),
+    payoutPool: payoutPoolBN.toString(),
+    strategy,
+    percents: sharesBps.map(b => b / 100),
+    board
   };
 }
 
+// Apply the position shares (basis points) to a ranked list (tie modes: see
+// computeWinnersFromOffchain). In split mode a tie straddling the last paid position shares
+// what is left, so more than shares.length players can be paid.
+function allocatePrizes(ranked, poolBN, shares, tieMode) {
+  const winners = [];
+  const amounts = [];
+  const ranks = [];
+
+  if (tieMode === "split") {
+    for (let i = 0; i < ranked.length && i < shares.length;) {
+      let j = i;
+      while (j + 1 < ranked.length && ranked[j + 1].highest_score === ranked[i].highest_score) j++;
+      const bps = shares.slice(i, j + 1).reduce((a, b) => a + b, 0);
+      const share = (poolBN * BigInt(bps)) / (10000n * BigInt(j - i + 1));
+      for (let k = i; k <= j; k++) {
+        winners.push(ranked[k].user_address);
+        amounts.push(share);
+        ranks.push(i + 1); // competition rank
+      }
+      i = j + 1;
+    }
+  } else {
+    const top = ranked.slice(0, shares.length);
+    for (let i = 0; i < top.length; i++) {
+      winners.push(top[i].user_address);
+      amounts.push((poolBN * BigInt(shares[i])) / 10000n);
+      ranks.push(i + 1);
+    }
+  }
+  return { winners, amounts, ranks };
+}
+
+
 
 
 
+// ----------------------- Payout preview (dry run) -----------------------
+// What processPeriod would pay right now for periodIndex with the same opts, without sending
+// anything: winners with amounts, house fee, season reserve, undistributed dust, and every
+// board player that cannot be paid with the reason. opts.pool also lists players whose
+// flagged plays in the period are still waiting for review (not counted yet).
+export async function previewPayout(contract, db, periodIndex, TOP_N, HOUSE_FEE_BPS, opts = {}) {
+  const result = await computeWinnersFromOffchain(contract, db, TOP_N, HOUSE_FEE_BPS, {
+    periodIndex,
+    pool: opts.pool,
+    entryChecker: opts.entryChecker,
+    requireEntry: opts.requireEntry,
+    tieMode: opts.tieMode,
+    payoutMode: opts.payoutMode,
+    strategy: opts.strategy,
+    heldWei: opts.heldWei,
+    reserveBps: opts.reserveBps,
+    houseSplitBps: opts.houseSplitBps
+  });
+
+  const wei = (v) => ({ wei: String(v ?? "0"), eth: ethers.formatEther(BigInt(v ?? 0)) });
+  const byAddr = new Map((result.board || []).map(p => [p.user_address, p]));
+  const distributedBN = (result.amounts || []).reduce((a, b) => a + BigInt(b), 0n);
+  const payoutPoolBN = BigInt(result.payoutPool || 0);
+
+  let pendingReview = [];
+  if (opts.pool) {
+    const r = await opts.pool.query(
+      `SELECT user_address, COUNT(*)::int AS plays, MAX(score) AS best
+       FROM verified_plays
+       WHERE period_index = $1 AND review_status = 'flagged'
+       GROUP BY user_address
+       ORDER BY best DESC`,
+      [String(periodIndex)]
+    );
+    pendingReview = r.rows.map(row => ({
+      user_address: row.user_address,
+      flagged_plays: row.plays,
+      best_flagged_score: Number(row.best),
+      reason: "flagged play(s) pending review are not counted"
+    }));
+  }
+
+  return {
+    periodIndex,
+    status: db.periods?.[periodIndex]?.status || "open",
+    strategy: result.strategy,
+    tieMode: result.tieMode,
+    payoutMode: result.payoutMode,
+    heldForSeasons: wei(opts.heldWei || 0),
+    poolBalance: wei(result.poolBalanceBN),
+    houseFee: wei(result.house),
+    // payHouse(amount1, amount2) to the contract's houseWallet1 / houseWallet2
+    houseSplitBps: result.houseSplitBps,
+    house1: wei(result.house1),
+    house2: wei(result.house2),
+    seasonReserve: wei(result.reserved),
+    payoutPool: wei(payoutPoolBN),
+    distributed: wei(distributedBN),
+    // payout pool not assigned to anyone (unfilled positions, rounding); stays in the contract
+    dust: wei(payoutPoolBN > distributedBN ? payoutPoolBN - distributedBN : 0n),
+    winners: (result.winners || []).map((to, i) => {
+      const p = byAddr.get(to);
+      return {
+        rank: result.ranks?.[i] ?? i + 1,
+        to,
+        profile_name: p?.profile_name || null,
+        score: p?.score ?? null,
+        ...(result.brackets ? { bracket: p?.bracket ?? null } : {}),
+        amount: wei(result.amounts[i])
+      };
+    }),
+    excluded: (result.board || [])
+      .filter(p => p.excluded)
+      .map(p => ({ rank: p.rank, user_address: p.user_address, profile_name: p.profile_name, score: p.score, reason: p.excluded })),
+    pendingReview,
+    players: (result.board || []).length
+  };
+}
 
 // ----------------------- Period processing (off-chain payouts) -----------------------
+// opts.onStatus(periodIndex, periodObj) is called after each status change is saved
+// (processing -> paid | failed), e.g. to push it to live clients.
+// opts.onPaid(periodIndex, result, periodObj) runs once the period is paid (achievements,
+// season points); its errors are logged, the period stays paid.
+// opts.onPlanned(client, periodIndex, result) writes what belongs to the payout plan (the
+// season reserve) in the transaction that stores it, before any tx; opts.onDiscarded(client,
+// periodIndex) undoes that when an unsigned plan is dropped and the period recomputed.
+// Transactions go through a persisted payout run (payoutRuns.js): opts.confirmTimeoutMs caps
+// the wait for each receipt; a tx still pending after that fails the period but keeps the run
+// open, and the next attempt (or reconcilePayouts) settles it instead of re-sending.
 export async function processPeriod(contract, db, periodIndex, TOP_N, HOUSE_FEE_BPS, opts = {}) {
   const pool = opts.pool;
   if (!db.periods) db.periods = {};
+  const notify = (periodObj) => {
+    try {
+      opts.onStatus?.(periodIndex, periodObj);
+    } catch (err) {
+      console.error("processPeriod onStatus error:", err);
+    }
+  };
+  // Frozen copy of what this payout was computed from (see periodSnapshots.js). The money has
+  // already moved when this runs, so a failed write is logged rather than failing the period.
+  const snapshot = async (result, txHash, payouts) => {
+    if (!pool) return;
+    try {
+      const saved = await savePeriodSnapshot(pool, { periodIndex, txHash, result, payouts, requireEntry: !!opts.requireEntry });
+      if (!saved) console.warn(`Period ${periodIndex} already has a snapshot; keeping the original.`);
+    } catch (err) {
+      console.error(`Period ${periodIndex} snapshot failed:`, err);
+    }
+  };
+  const paid = async (result, periodObj) => {
+    try {
+      await opts.onPaid?.(periodIndex, result, periodObj);
+    } catch (err) {
+      console.error(`Period ${periodIndex} onPaid error:`, err);
+    }
+  };
   const existing = db.periods[periodIndex];
-  if (existing?.status === "processing" || existing?.status === "paid") {
+  // opts.resume (reconcilePayouts only): take over a period left "processing" by a dead process
+  if (existing?.status === "paid" || (existing?.status === "processing" && !opts.resume)) {
     console.log(`Period ${periodIndex} is already being processed or paid.`);
     return;
   }
@@ -339,82 +1070,206 @@ export async function processPeriod(contract, db, periodIndex, TOP_N, HOUSE_FEE_
   const nowIso = new Date().toISOString();
   db.periods[periodIndex] = { status: "processing", updated_at: nowIso };
   if (pool) await savePeriod(pool, db, periodIndex, db.periods[periodIndex]);
+  notify(db.periods[periodIndex]);
 
+  let run = null;
   try {
-    // Compute winners using *off-chain* leaderboard but read poolBalance on-chain inside function
-    const result = await computeWinnersFromOffchain(contract, db, TOP_N, HOUSE_FEE_BPS);
+    // A persisted run means an earlier attempt got as far as planning: if any of its
+    // transactions may have been broadcast, finish that plan (the pool balance has changed since).
+    // Otherwise nothing moved on-chain and the period is simply computed again.
+    run = pool ? await getPayoutRun(pool, periodIndex) : null;
+    if (run && !run.steps.some(touchedChain)) {
+      await deletePayoutRun(pool, periodIndex, { onDelete: opts.onDiscarded && ((client) => opts.onDiscarded(client, periodIndex)) });
+      run = null;
+    }
 
-    if (!result.winners || result.winners.length === 0) {
+    let result;
+    if (run) {
+      result = run.plan;
+      console.log(`[Payout] Resuming period ${periodIndex}: ${run.steps.map(s => `${s.step}=${s.status}`).join(", ")}`);
+    } else {
+      // Compute winners using *off-chain* leaderboard but read poolBalance on-chain inside function
+      result = await computeWinnersFromOffchain(contract, db, TOP_N, HOUSE_FEE_BPS, {
+        periodIndex,
+        pool,
+        entryChecker: opts.entryChecker,
+        requireEntry: opts.requireEntry,
+        tieMode: opts.tieMode,
+        payoutMode: opts.payoutMode,
+        strategy: opts.strategy,
+        heldWei: opts.heldWei,
+        reserveBps: opts.reserveBps,
+        houseSplitBps: opts.houseSplitBps
+      });
+    }
+
+    // Nothing to send at all: no winners and no round to reset (no run is recorded)
+    const noWinners = !result.winners || result.winners.length === 0;
+    if (!run && noWinners && !result.resetRound) {
       const periodObj = { status: "paid", payouts: [], updated_at: new Date().toISOString() };
+      await snapshot(result, null, []);
       db.periods[periodIndex] = periodObj;
       if (pool) await savePeriod(pool, db, periodIndex, periodObj);
+      notify(periodObj);
+      await paid(result, periodObj);
       return;
     }
 
-    const winners = result.winners;
-    const amounts = result.amounts.map(a => BigInt(a)); // BigInt values for contract call
-    // call on-chain contract to pay players (must be owner-signer contract)
-    let tx = null;
-    try {
-      tx = await contract.payPlayers(winners, amounts, { ...(opts.gasLimit ? { gasLimit: opts.gasLimit } : {}) });
-      if (tx?.wait) await tx.wait(1);
-    } catch (err) {
-      // If payPlayers failed, log and mark failed
-      console.error("payPlayers failed:", err);
-      throw err;
+    // The plan and every transaction are persisted before anything is sent (payoutRuns.js)
+    if (!pool) throw new Error("processPeriod needs opts.pool to record payout transactions");
+    if (!run) {
+      run = await createPayoutRun(pool, periodIndex, result, planPayoutSteps(contract, result), {
+        onCreate: opts.onPlanned && ((client) => opts.onPlanned(client, periodIndex, result))
+      });
+      // another instance may have stored its plan first: record what is actually sent
+      result = run.plan;
     }
 
-    // Pay house - only if house amounts > 0
-    const h1 = BigInt(result.house1 || "0");
-    const h2 = BigInt(result.house2 || "0");
-    if ((h1 > 0n || h2 > 0n) && typeof contract.payHouse === "function") {
+    const sent = {};
+    for (let step of run.steps) {
+      // a reverted tx moved nothing, so a required step may be signed again on a retry
+      if (step.status === "reverted" && step.required) step = await resetRevertedStep(pool, periodIndex, step);
       try {
-        const tx2 = await contract.payHouse(h1, h2);
-        if (tx2?.wait) await tx2.wait(1);
+        step = await runPayoutStep(pool, contract, periodIndex, step, { gasLimit: opts.gasLimit, confirmTimeoutMs: opts.confirmTimeoutMs });
       } catch (err) {
-        console.error("payHouse failed:", err);
-        // you can choose to continue or throw; throwing marks the period failed
-        throw err;
-      }
-    }
-
-    // Reset payments on-chain if function exists (owner only)
-    if (typeof contract.resetPayments === "function") {
-      try {
-        const resetTx = await contract.resetPayments();
-        if (resetTx?.wait) await resetTx.wait(1);
-      } catch (err) {
-        console.error("resetPayments() failed:", err);
+        if (step.required) {
+          console.error(`${step.step} failed:`, err);
+          throw err;
+        }
+        console.error(`${step.step}() failed:`, err);
         // Not fatal — log and continue
+        continue;
+      }
+      if (step.status === "reverted") {
+        if (step.required) throw new Error(`${step.step} reverted (tx ${step.txHash})`);
+        console.error(`${step.step}() reverted (tx ${step.txHash})`);
       }
+      if (step.step === "resetPayments" && step.status === "confirmed") opts.entryChecker?.invalidate();
+      sent[step.step] = step;
     }
 
-    // Save period result (use tx.hash)
+    // Save period result (payPlayers tx hash; payHouse tx and what each house wallet got)
+    const housePaid = sent.payHouse?.status === "confirmed";
     const periodObj = {
       status: "paid",
-      txHash: tx?.hash || null,
-      payouts: winners.map((w, i) => ({ to: w, amount: amounts[i].toString() })),
+      txHash: sent.payPlayers?.txHash || null,
+      houseTxHash: housePaid ? sent.payHouse.txHash : null,
+      housePayout: {
+        amount1: housePaid ? String(result.house1) : "0",
+        amount2: housePaid ? String(result.house2) : "0",
+        splitBps: result.houseSplitBps ?? null
+      },
+      payouts: result.winners.map((w, i) => ({
+        to: w,
+        amount: String(result.amounts[i]),
+        rank: result.ranks?.[i] ?? i + 1,
+        ...(result.brackets ? { bracket: result.brackets.find(b => b.winners.some(x => x.to === w))?.id ?? null } : {})
+      })),
       updated_at: new Date().toISOString()
     };
+    await finishPayoutRun(pool, periodIndex, { status: "done", payouts: periodObj.payouts });
+    await snapshot(result, periodObj.txHash, periodObj.payouts);
     db.periods[periodIndex] = periodObj;
     if (pool) await savePeriod(pool, db, periodIndex, periodObj);
+    notify(periodObj);
+    await paid(result, periodObj);
   } catch (err) {
     console.error("Error processing period:", err);
+    if (run) {
+      // A tx that may still be pending keeps the run open for reconcilePayouts; otherwise it is
+      // settled as failed and a retry starts from whatever did confirm.
+      try {
+        const latest = await getPayoutRun(pool, periodIndex);
+        const pending = latest?.steps.some(s => s.status === "signed" || s.status === "sent");
+        if (!pending) await finishPayoutRun(pool, periodIndex, { status: "failed", error: err?.message || String(err) });
+      } catch (e) {
+        console.error(`Period ${periodIndex} payout run update failed:`, e);
+      }
+    }
     const periodObj = { status: "failed", error: err?.message || String(err), updated_at: new Date().toISOString() };
     db.periods[periodIndex] = periodObj;
     if (pool) await savePeriod(pool, db, periodIndex, periodObj);
+    notify(periodObj);
+  }
+}
+
+// A step whose tx may have reached the chain
+function touchedChain(step) {
+  return step.status === "signed" || step.status === "sent" || step.status === "confirmed";
+}
+
+// On-chain steps for a computed payout, in order (see payoutRuns.js)
+function planPayoutSteps(contract, result) {
+  const h1 = BigInt(result.house1 || "0");
+  const h2 = BigInt(result.house2 || "0");
+  const has = (fn) => typeof contract[fn] === "function";
+  return [
+    // No winners (result.resetRound): only the round reset goes out
+    { step: "payPlayers", args: [result.winners, result.amounts.map(String)], status: result.winners.length ? "planned" : "skipped" },
+    // Pay house - only if house amounts > 0
+    { step: "payHouse", args: [h1.toString(), h2.toString()], status: (h1 > 0n || h2 > 0n) && has("payHouse") ? "planned" : "skipped" },
+    // Reset payments on-chain (owner only); not fatal if it fails
+    { step: "resetPayments", args: [], required: false, status: has("resetPayments") ? "planned" : "skipped" }
+  ];
+}
+
+// Finish payouts left half done - runs with transactions that were never settled (a crash, a
+// restart or a receipt wait that timed out), failed runs that already moved money and, with
+// resume, periods still marked processing.
+// Each one goes back through processPeriod, which resumes its persisted run (or recomputes when
+// nothing was signed). resume (startup only) takes over "processing" periods; without it a
+// period this process is still working on is left alone, so it is safe on every cron tick.
+// optsFor(periodIndex) -> processPeriod opts (may be async).
+export async function reconcilePayouts(contract, db, TOP_N, HOUSE_FEE_BPS, { pool, optsFor, resume = true }) {
+  const indexes = new Set(await listUnfinishedPayoutRuns(pool));
+  for (const [idx, p] of Object.entries(db.periods || {})) {
+    if (resume && p?.status === "processing") indexes.add(Number(idx));
+  }
+  const todo = [...indexes].sort((a, b) => a - b);
+  if (todo.length) console.log(`[Payout] Reconciling ${todo.length} unfinished payout(s): ${todo.join(", ")}`);
+  for (const periodIndex of todo) {
+    try {
+      await processPeriod(contract, db, periodIndex, TOP_N, HOUSE_FEE_BPS, { ...(await optsFor(periodIndex)), resume });
+      console.log(`[Payout] Period ${periodIndex} reconciled: ${db.periods[periodIndex]?.status}`);
+    } catch (err) {
+      console.error(`[Payout] Period ${periodIndex} reconcile failed:`, err);
+    }
   }
+  return todo;
 }
 
 // ----------------------- Exports -----------------------
 export default {
   initDB,
+  rowToScore,
+  playerAccuracy,
   saveScore,
+  recordScore,
+  updateScoreProfile,
   saveProfileName,
   savePeriod,
+  backfillPeriodScores,
+  loadPeriodScores,
+  recordPeriodScore,
   normalizeProfileName,
   computePeriod,
+  periodBounds,
   computeWinnersFromOffchain,
+  previewPayout,
   processPeriod,
-  getLeaderboard
+  reconcilePayouts,
+  boardEntries,
+  RANK_MODES,
+  DEFAULT_RANK_MODE,
+  PAYOUT_TIE_MODES,
+  PAYOUT_MODES,
+  DEFAULT_HOUSE_SPLIT_BPS,
+  compareEntries,
+  rankEntries,
+  rebuildRankIndex,
+  setLevelBrackets,
+  encodeCursor,
+  decodeCursor,
+  getLeaderboard,
+  playerPercentile
 };
@@ -0,0 +1,201 @@
+// liveUpdates.js
+import { computePeriod, getLeaderboard, loadPeriodScores, DEFAULT_RANK_MODE, RANK_MODES } from "./leaderboard.js";
+
+/**
+ * Live leaderboard / period updates over Server-Sent Events
+ *
+ * GET /api/stream?board=all|current&limit=10&rankMode=ordinal&user=<address>
+ *
+ * Events (data is JSON):
+ *  - hello   { clientId, board, period: { periodIndex, periodStart, periodEnd, status } }
+ *  - top     { board, periodIndex, leaderboard }          top `limit` changed
+ *  - rank    { user_address, board, rank, previousRank, score }   subscribed player moved
+ *  - play    { replayHash, user_address, profile_name, score, kills, survival_ticks, period_index }
+ *  - period  { periodIndex, status, txHash, error }       processPeriod transitions
+ * A comment line (": ping") is sent every heartbeat so proxies keep the connection open and
+ * dead clients are noticed. Score changes are coalesced (debounced) before boards are diffed.
+ * "current" boards are also refreshed when the period rolls over. Per-IP limits use req.ip,
+ * so the app's "trust proxy" setting must match the deployment.
+ *
+ * Routes:
+ *  - GET /api/stream
+ *
+ * Returns { publishPlay(play), publishPeriodStatus(periodIndex, periodObj), scoresChanged(), close() }
+ */
+export default function registerLiveRoutes(app, db, opts = {}) {
+  const pool = opts.pool;
+  const DURATION_MS = opts.durationMs ?? 3600000;
+  const MAX_CONNECTIONS = opts.maxConnections ?? 500;
+  const MAX_PER_IP = opts.maxPerIp ?? 5;
+  const HEARTBEAT_MS = opts.heartbeatMs ?? 15_000;
+  const DEBOUNCE_MS = opts.debounceMs ?? 250;
+  const MAX_BUFFERED_BYTES = 1024 * 1024; // a client this far behind is dropped
+
+  if (!pool) throw new Error("registerLiveRoutes requires opts.pool (pg Pool)");
+
+  const clients = new Set();
+  const perIp = new Map();
+  let nextClientId = 1;
+  let nextEventId = 1;
+  let pending = null;
+  let rollover = null;
+
+  function send(client, event, data) {
+    if (client.res.writableEnded) return;
+    client.res.write(`id: ${nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (client.res.writableLength > MAX_BUFFERED_BYTES) {
+      console.warn(`[Live] Dropping slow client ${client.id} (${client.ip})`);
+      client.res.end();
+    }
+  }
+
+  function broadcast(event, data) {
+    for (const c of clients) send(c, event, data);
+  }
+
+  function periodInfo() {
+    const { periodIndex, periodStart, periodEnd } = computePeriod(Date.now(), DURATION_MS);
+    return { periodIndex, periodStart, periodEnd, status: db.periods?.[periodIndex]?.status || "open" };
+  }
+
+  // Diff each client's board (and subscribed rank) against what it was last sent (default: all
+  // clients). Boards are computed once per (board, limit, rankMode) no matter how many share them.
+  async function refresh(targets = clients) {
+    const current = computePeriod(Date.now(), DURATION_MS).periodIndex;
+    const boards = new Map();
+
+    for (const c of targets) {
+      const period = c.board === "current" ? current : "all";
+      const key = `${period}:${c.limit}:${c.rankMode}`;
+      if (!boards.has(key)) {
+        if (period !== "all") await loadPeriodScores(pool, db, period);
+        boards.set(key, getLeaderboard(db, c.limit, null, { period, rankMode: c.rankMode }).leaderboard);
+      }
+
+      const leaderboard = boards.get(key);
+      const signature = `${period}|` + leaderboard.map(e => `${e.user_address}:${e.score}:${e.rank}`).join(",");
+      if (signature !== c.topSignature) {
+        c.topSignature = signature;
+        send(c, "top", { board: c.board, periodIndex: period === "all" ? null : period, leaderboard });
+      }
+
+      if (c.user) {
+        const player = getLeaderboard(db, 0, c.user, { period, rankMode: c.rankMode }).player;
+        const rank = player?.rank ?? null;
+        if (rank !== c.rank) {
+          send(c, "rank", { user_address: c.user, board: c.board, rank, previousRank: c.rank, score: player?.score ?? 0 });
+          c.rank = rank;
+        }
+      }
+    }
+  }
+
+  // Call after any score write; bursts of plays cause a single refresh
+  function scoresChanged() {
+    if (pending || clients.size === 0) return;
+    pending = setTimeout(() => {
+      pending = null;
+      refresh().catch(err => console.error("[Live] refresh error:", err));
+    }, DEBOUNCE_MS);
+  }
+
+  // A counted (clean or approved) play
+  function publishPlay(play) {
+    const addr = String(play.user_address).toLowerCase();
+    broadcast("play", {
+      replayHash: play.replayHash ?? play.replay_hash ?? null,
+      user_address: addr,
+      profile_name: db.scores?.[addr]?.profile_name || null,
+      score: Number(play.score),
+      kills: play.kills === null || play.kills === undefined ? null : Number(play.kills),
+      survival_ticks: play.survival_ticks === null || play.survival_ticks === undefined ? null : Number(play.survival_ticks),
+      period_index: play.period_index === null || play.period_index === undefined ? null : Number(play.period_index)
+    });
+    scoresChanged();
+  }
+
+  function publishPeriodStatus(periodIndex, periodObj = {}) {
+    broadcast("period", {
+      periodIndex: Number(periodIndex),
+      status: periodObj.status || null,
+      txHash: periodObj.txHash || null,
+      error: periodObj.error || null
+    });
+    // a finished period means "current" boards may now point at a new period
+    if (periodObj.status !== "processing") scoresChanged();
+  }
+
+  app.get("/api/stream", async (req, res) => {
+    const board = String(req.query.board || "all").trim().toLowerCase();
+    if (board !== "all" && board !== "current") return res.status(400).json({ ok: false, error: "board must be all or current" });
+    const limit = Math.min(100, Math.max(1, Math.floor(Number(req.query.limit || 10)) || 10));
+    const rankMode = req.query.rankMode ? String(req.query.rankMode).trim().toLowerCase() : DEFAULT_RANK_MODE;
+    if (!RANK_MODES.includes(rankMode)) return res.status(400).json({ ok: false, error: `rankMode must be one of ${RANK_MODES.join(", ")}` });
+    const user = req.query.user ? String(req.query.user).trim().toLowerCase() : null;
+
+    const ip = req.ip || req.socket?.remoteAddress || "unknown";
+    if (clients.size >= MAX_CONNECTIONS) {
+      res.setHeader("Retry-After", "30");
+      return res.status(503).json({ ok: false, error: "too many live connections, try again later" });
+    }
+    if ((perIp.get(ip) || 0) >= MAX_PER_IP) {
+      return res.status(429).json({ ok: false, error: "too many live connections from this address" });
+    }
+
+    res.status(200);
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no"); // nginx: don't buffer the stream
+    res.flushHeaders();
+    res.write(`retry: 5000\n\n`);
+
+    const client = { id: nextClientId++, ip, res, board, limit, rankMode, user, topSignature: null, rank: null };
+    clients.add(client);
+    perIp.set(ip, (perIp.get(ip) || 0) + 1);
+
+    req.on("close", () => {
+      clients.delete(client);
+      const n = (perIp.get(ip) || 1) - 1;
+      if (n > 0) perIp.set(ip, n);
+      else perIp.delete(ip);
+    });
+
+    send(client, "hello", { clientId: client.id, board, period: periodInfo() });
+    // first board/rank for this client only
+    try {
+      await refresh([client]);
+    } catch (err) {
+      console.error("[Live] initial refresh error:", err);
+    }
+  });
+
+  // "current" boards point at a new (empty) period once the period index rolls over
+  function scheduleRollover() {
+    const { periodEnd } = computePeriod(Date.now(), DURATION_MS);
+    rollover = setTimeout(() => {
+      scheduleRollover();
+      if (clients.size) refresh().catch(err => console.error("[Live] rollover refresh error:", err));
+    }, Math.min(2 ** 31 - 1, Math.max(0, periodEnd - Date.now()) + 50)); // setTimeout max ~24.8 days
+    rollover.unref?.();
+  }
+  scheduleRollover();
+
+  const heartbeat = setInterval(() => {
+    for (const c of clients) {
+      if (!c.res.writableEnded) c.res.write(`: ping ${Date.now()}\n\n`);
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref?.();
+
+  function close() {
+    clearInterval(heartbeat);
+    if (pending) clearTimeout(pending);
+    if (rollover) clearTimeout(rollover);
+    for (const c of clients) c.res.end();
+    clients.clear();
+    perIp.clear();
+  }
+
+  return { publishPlay, publishPeriodStatus, scoresChanged, close };
+}
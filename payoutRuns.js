@@ -0,0 +1,289 @@
+// payoutRuns.js
+import { ethers } from "ethers";
+
+/**
+ * Crash-safe period payouts
+ *
+ * A payout run is the frozen plan for one period (the computeWinnersFromOffchain result) plus
+ * its on-chain steps in order: payPlayers, payHouse, resetPayments. Every step is written to
+ * Postgres before and after each transition, so a restart can tell exactly how far a payout
+ * got and finish it without paying anyone twice:
+ *
+ *   planned -> signed -> sent -> confirmed
+ *                           \-> reverted (receipt status 0; nothing moved, may be re-signed)
+ *   planned -> skipped            (nothing to do, e.g. no house amount)
+ *
+ * "signed" is persisted with the tx hash, nonce and raw signed tx *before* broadcasting. On
+ * resume a signed/sent step is settled by its receipt; a tx the node has forgotten is
+ * re-broadcast byte for byte (same hash and nonce, so it can only ever be mined once). A step
+ * is only signed again when its nonce has been used by a different tx and it has no receipt,
+ * i.e. the original can never be mined. Transitions are compare-and-set on the previous
+ * status/hash, so two processes cannot both sign a step.
+ *
+ * Exports:
+ *  - PAYOUT_STEPS
+ *  - ensurePayoutRunTables(pool)
+ *  - getPayoutRun(pool, periodIndex)
+ *  - createPayoutRun(pool, periodIndex, plan, steps, { onCreate })
+ *  - deletePayoutRun(pool, periodIndex, { onDelete })
+ *  - finishPayoutRun(pool, periodIndex, { status, error, payouts })
+ *  - listUnfinishedPayoutRuns(pool)
+ *  - runPayoutStep(pool, contract, periodIndex, step, { gasLimit, confirmTimeoutMs })
+ *  - resetRevertedStep(pool, periodIndex, step)
+ */
+
+export const PAYOUT_STEPS = ["payPlayers", "payHouse", "resetPayments"];
+
+// ----------------------- Schema -----------------------
+export async function ensurePayoutRunTables(pool) {
+  const sql = `
+CREATE TABLE IF NOT EXISTS payout_runs (
+  period_index BIGINT PRIMARY KEY,
+  status TEXT NOT NULL DEFAULT 'running',
+  plan JSONB NOT NULL,
+  payouts JSONB,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS payout_steps (
+  period_index BIGINT NOT NULL REFERENCES payout_runs(period_index) ON DELETE CASCADE,
+  seq INTEGER NOT NULL,
+  step TEXT NOT NULL,
+  args JSONB NOT NULL,
+  required BOOLEAN NOT NULL DEFAULT TRUE,
+  status TEXT NOT NULL DEFAULT 'planned',
+  tx_hash TEXT,
+  nonce BIGINT,
+  raw_tx TEXT,
+  block_number BIGINT,
+  error TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (period_index, step)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_runs_status
+  ON payout_runs (status);
+  `;
+  try {
+    await pool.query(sql);
+    console.log("✅ payout_runs/payout_steps tables ensured (exists or created).");
+  } catch (err) {
+    console.error("❌ Failed to ensure payout run tables:", err);
+    throw err;
+  }
+}
+
+function rowToStep(r) {
+  return {
+    seq: Number(r.seq),
+    step: r.step,
+    args: r.args || [],
+    required: !!r.required,
+    status: r.status,
+    txHash: r.tx_hash || null,
+    nonce: r.nonce === null || r.nonce === undefined ? null : Number(r.nonce),
+    rawTx: r.raw_tx || null,
+    blockNumber: r.block_number === null || r.block_number === undefined ? null : Number(r.block_number),
+    error: r.error || null,
+    updatedAt: r.updated_at ? new Date(r.updated_at).toISOString() : null
+  };
+}
+
+// ----------------------- Runs -----------------------
+// { periodIndex, status, plan, payouts, error, steps } or null
+export async function getPayoutRun(pool, periodIndex) {
+  const r = await pool.query(`SELECT * FROM payout_runs WHERE period_index = $1 LIMIT 1`, [String(periodIndex)]);
+  if (!r.rowCount) return null;
+  const steps = await pool.query(`SELECT * FROM payout_steps WHERE period_index = $1 ORDER BY seq`, [String(periodIndex)]);
+  const row = r.rows[0];
+  return {
+    periodIndex: Number(row.period_index),
+    status: row.status,
+    plan: row.plan,
+    payouts: row.payouts || null,
+    error: row.error || null,
+    steps: steps.rows.map(rowToStep)
+  };
+}
+
+// steps: [{ step, args, required, status? }] in execution order. Writes the plan and steps in
+// one transaction; if the period already has a run, that run is returned unchanged.
+// onCreate(client): extra writes that belong to the plan (same transaction, new runs only).
+export async function createPayoutRun(pool, periodIndex, plan, steps, { onCreate } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const r = await client.query(
+      `INSERT INTO payout_runs(period_index, plan) VALUES($1, $2)
+       ON CONFLICT (period_index) DO NOTHING`,
+      [String(periodIndex), JSON.stringify(plan)]
+    );
+    if (r.rowCount) {
+      for (let i = 0; i < steps.length; i++) {
+        const s = steps[i];
+        await client.query(
+          `INSERT INTO payout_steps(period_index, seq, step, args, required, status)
+           VALUES($1, $2, $3, $4, $5, $6)`,
+          [String(periodIndex), i, s.step, JSON.stringify(s.args || []), s.required !== false, s.status || "planned"]
+        );
+      }
+      if (onCreate) await onCreate(client);
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+  return getPayoutRun(pool, periodIndex);
+}
+
+// Only for runs where nothing was ever signed (see processPeriod).
+// onDelete(client): undoes createPayoutRun's onCreate writes (same transaction).
+export async function deletePayoutRun(pool, periodIndex, { onDelete } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(`DELETE FROM payout_runs WHERE period_index = $1`, [String(periodIndex)]);
+    if (onDelete) await onDelete(client);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// status: running | done | failed
+export async function finishPayoutRun(pool, periodIndex, { status, error = null, payouts = null }) {
+  await pool.query(
+    `UPDATE payout_runs SET status = $2, error = $3, payouts = COALESCE($4, payouts), updated_at = now()
+     WHERE period_index = $1`,
+    [String(periodIndex), status, error, payouts ? JSON.stringify(payouts) : null]
+  );
+}
+
+// Period indexes whose payout was interrupted, oldest first: runs still running and failed
+// runs that already moved money (a step signed, sent or confirmed), which must be finished
+// rather than left without their remaining steps (e.g. resetPayments after payPlayers)
+export async function listUnfinishedPayoutRuns(pool) {
+  const r = await pool.query(
+    `SELECT period_index FROM payout_runs r
+     WHERE r.status = 'running'
+        OR (r.status = 'failed' AND EXISTS (
+              SELECT 1 FROM payout_steps s
+              WHERE s.period_index = r.period_index AND s.status IN ('signed', 'sent', 'confirmed')))
+     ORDER BY period_index`
+  );
+  return r.rows.map(row => Number(row.period_index));
+}
+
+// ----------------------- Steps -----------------------
+// Compare-and-set: only moves the step if it is still in `from` (status + tx hash)
+async function moveStep(pool, periodIndex, step, from, fields) {
+  const r = await pool.query(
+    `UPDATE payout_steps
+     SET status = $4, tx_hash = $5, nonce = $6, raw_tx = $7, block_number = $8, error = $9, updated_at = now()
+     WHERE period_index = $1 AND step = $2 AND status = $3 AND tx_hash IS NOT DISTINCT FROM $10
+     RETURNING *`,
+    [
+      String(periodIndex),
+      step,
+      from.status,
+      fields.status,
+      fields.txHash === undefined ? from.txHash : fields.txHash,
+      fields.nonce === undefined ? from.nonce : fields.nonce,
+      fields.rawTx === undefined ? from.rawTx : fields.rawTx,
+      fields.blockNumber === undefined ? from.blockNumber : fields.blockNumber,
+      fields.error === undefined ? null : fields.error,
+      from.txHash
+    ]
+  );
+  if (!r.rowCount) throw new Error(`payout step ${step} of period ${periodIndex} was changed by another process`);
+  return rowToStep(r.rows[0]);
+}
+
+async function signStep(contract, step, gasLimit) {
+  const signer = contract.runner;
+  if (typeof signer?.signTransaction !== "function") throw new Error("contract runner cannot sign transactions");
+  const unsigned = await contract[step.step].populateTransaction(...step.args, gasLimit ? { gasLimit } : {});
+  const populated = await signer.populateTransaction(unsigned); // nonce, chainId, fees
+  const rawTx = await signer.signTransaction(populated);
+  const tx = ethers.Transaction.from(rawTx);
+  return { txHash: tx.hash, nonce: tx.nonce, rawTx };
+}
+
+// Drive one step to a final state (confirmed, reverted or skipped) and return it.
+// Throws when it cannot tell yet (RPC down, not mined within confirmTimeoutMs): the step
+// keeps its state and the next attempt continues from there.
+export async function runPayoutStep(pool, contract, periodIndex, step, { gasLimit = null, confirmTimeoutMs = 10 * 60 * 1000 } = {}) {
+  const provider = contract.runner?.provider;
+  if (!provider) throw new Error("contract runner has no provider");
+  let s = step;
+
+  for (;;) {
+    if (s.status === "confirmed" || s.status === "skipped" || s.status === "reverted") return s;
+
+    if (s.status === "planned") {
+      const signed = await signStep(contract, s, gasLimit);
+      s = await moveStep(pool, periodIndex, s.step, s, { status: "signed", ...signed });
+      console.log(`[Payout] Period ${periodIndex} ${s.step}: signed tx ${s.txHash} (nonce ${s.nonce})`);
+      continue;
+    }
+
+    // signed or sent: the receipt is the source of truth
+    const receipt = await provider.getTransactionReceipt(s.txHash);
+    if (receipt) {
+      const status = receipt.status === 1 ? "confirmed" : "reverted";
+      s = await moveStep(pool, periodIndex, s.step, s, { status, blockNumber: receipt.blockNumber, error: status === "reverted" ? "transaction reverted" : null });
+      console.log(`[Payout] Period ${periodIndex} ${s.step}: ${status} in block ${receipt.blockNumber} (${s.txHash})`);
+      return s;
+    }
+
+    const known = s.status === "sent" ? await provider.getTransaction(s.txHash) : null;
+    if (!known) {
+      try {
+        await provider.broadcastTransaction(s.rawTx);
+      } catch (err) {
+        const from = await contract.runner.getAddress();
+        const mined = await provider.getTransactionCount(from, "latest");
+        if (mined > s.nonce && !(await provider.getTransactionReceipt(s.txHash))) {
+          // the nonce went to a different tx, so this one can never be mined: sign it again
+          console.warn(`[Payout] Period ${periodIndex} ${s.step}: nonce ${s.nonce} used by another tx, re-signing`);
+          s = await moveStep(pool, periodIndex, s.step, s, { status: "planned", txHash: null, nonce: null, rawTx: null, error: String(err?.message || err) });
+          continue;
+        }
+        if (!/already known|known transaction|already imported/i.test(String(err?.message || err))) throw err;
+      }
+      if (s.status === "signed") {
+        s = await moveStep(pool, periodIndex, s.step, s, { status: "sent" });
+        console.log(`[Payout] Period ${periodIndex} ${s.step}: broadcast ${s.txHash}`);
+      }
+    }
+
+    const mined = await provider.waitForTransaction(s.txHash, 1, confirmTimeoutMs);
+    if (!mined) throw new Error(`${s.step} tx ${s.txHash} not mined within ${confirmTimeoutMs}ms`);
+  }
+}
+
+// Re-plan a reverted step (nothing moved on-chain) so the next attempt signs a new tx
+export async function resetRevertedStep(pool, periodIndex, step) {
+  return moveStep(pool, periodIndex, step.step, step, { status: "planned", txHash: null, nonce: null, rawTx: null, blockNumber: null });
+}
+
+// ----------------------- Exports -----------------------
+export default {
+  PAYOUT_STEPS,
+  ensurePayoutRunTables,
+  getPayoutRun,
+  createPayoutRun,
+  deletePayoutRun,
+  finishPayoutRun,
+  listUnfinishedPayoutRuns,
+  runPayoutStep,
+  resetRevertedStep
+};
@@ -0,0 +1,139 @@
+// payoutStrategy.js
+/**
+ * Period payout strategies
+ *
+ * A strategy decides the house fee (basis points of the pool balance) and how the rest is
+ * shared across finishing positions (basis points of the payout pool, position 1 first):
+ *   fixed             { percents: [49, 29, 9, ...] }   explicit table, up to 2 decimals each
+ *   linear            { topN: 5 }                      weights topN, topN-1, ..., 1
+ *   winner_takes_all  {}                               100% to first place
+ * House fee and shares are each capped at 100%; whatever a table leaves unassigned (and
+ * rounding dust) stays in the pool for the next period.
+ *
+ * Strategies are kept in admin_settings ('payoutStrategies') as a schedule of
+ * { effectiveFrom, strategy, setAt }. A change made while period P is running takes effect
+ * from period P+1, so a period is always paid with the rules it started under.
+ *
+ * Exports:
+ *  - PAYOUT_STRATEGY_TYPES, LEGACY_PERCENTS
+ *  - validatePayoutStrategy(spec)
+ *  - strategyShares(strategy)
+ *  - defaultPayoutStrategy(topN, houseFeeBps)
+ *  - loadPayoutSchedule(pool)
+ *  - payoutStrategyFor(schedule, periodIndex, fallback)
+ *  - schedulePayoutStrategy(pool, strategy, effectiveFrom)
+ */
+
+export const PAYOUT_STRATEGY_TYPES = ["fixed", "linear", "winner_takes_all"];
+// The table used before strategies were configurable (with a 30% house fee)
+export const LEGACY_PERCENTS = [49, 29, 9, 2, 2, 2, 2, 2, 2, 2];
+
+const MAX_POSITIONS = 100;
+const SCHEDULE_KEY = "payoutStrategies";
+const SCHEDULE_KEEP = 50;
+
+const isBps = (v) => Number.isInteger(v) && v >= 0 && v <= 10000;
+
+// spec -> { strategy } (normalized) or { error }
+export function validatePayoutStrategy(spec = {}) {
+  const type = String(spec.type ?? "").trim();
+  if (!PAYOUT_STRATEGY_TYPES.includes(type)) return { error: `type must be one of ${PAYOUT_STRATEGY_TYPES.join(", ")}` };
+  const houseFeeBps = Number(spec.houseFeeBps ?? 0);
+  if (!isBps(houseFeeBps)) return { error: "houseFeeBps must be an integer from 0 to 10000" };
+
+  if (type === "fixed") {
+    const percents = Array.isArray(spec.percents) ? spec.percents.map(Number) : null;
+    if (!percents || !percents.length || percents.length > MAX_POSITIONS) {
+      return { error: `percents must list 1-${MAX_POSITIONS} shares (1st place first)` };
+    }
+    if (!percents.every(p => Number.isFinite(p) && p >= 0 && Math.abs(p * 100 - Math.round(p * 100)) < 1e-9)) {
+      return { error: "percents must be non-negative with at most 2 decimals" };
+    }
+    const totalBps = percents.reduce((a, p) => a + Math.round(p * 100), 0);
+    if (totalBps > 10000) return { error: `percents add up to ${totalBps / 100}%, more than 100%` };
+    return { strategy: { type, houseFeeBps, percents } };
+  }
+
+  if (type === "linear") {
+    const topN = Number(spec.topN);
+    if (!Number.isInteger(topN) || topN < 1 || topN > MAX_POSITIONS) return { error: `topN must be an integer from 1 to ${MAX_POSITIONS}` };
+    return { strategy: { type, houseFeeBps, topN } };
+  }
+
+  return { strategy: { type, houseFeeBps } };
+}
+
+// Share of the payout pool per position, in basis points (sum <= 10000)
+export function strategyShares(strategy) {
+  if (strategy.type === "fixed") return strategy.percents.map(p => Math.round(Number(p) * 100));
+  if (strategy.type === "linear") {
+    const n = strategy.topN;
+    const totalWeight = (n * (n + 1)) / 2;
+    return Array.from({ length: n }, (_, i) => Math.floor((10000 * (n - i)) / totalWeight));
+  }
+  if (strategy.type === "winner_takes_all") return [10000];
+  throw new Error(`unknown payout strategy ${strategy.type}`);
+}
+
+// Used until an admin saves a strategy: the legacy table cut to TOP_N and rescaled so the
+// whole payout pool is paid (TOP_N=3 -> 56.33 / 33.33 / 10.34), house fee from env.
+// Throws on an invalid TOP_N / HOUSE_FEE_BPS so startup fails with a clear message.
+export function defaultPayoutStrategy(topN, houseFeeBps) {
+  const n = Math.min(LEGACY_PERCENTS.length, Math.max(1, Math.floor(Number(topN) || LEGACY_PERCENTS.length)));
+  const table = LEGACY_PERCENTS.slice(0, n);
+  const total = table.reduce((a, p) => a + p, 0);
+  const bps = table.map(p => Math.floor((p * 10000) / total));
+  bps[0] += 10000 - bps.reduce((a, b) => a + b, 0); // rounding goes to first place
+  const out = validatePayoutStrategy({ type: "fixed", houseFeeBps: Number(houseFeeBps ?? 0), percents: bps.map(b => b / 100) });
+  if (out.error) throw new Error(`invalid default payout strategy (TOP_N/HOUSE_FEE_BPS): ${out.error}`);
+  return out.strategy;
+}
+
+// ----------------------- Schedule (admin_settings) -----------------------
+// [{ effectiveFrom, strategy, setAt }] oldest first
+export async function loadPayoutSchedule(pool) {
+  const r = await pool.query(`SELECT v FROM admin_settings WHERE k = $1 LIMIT 1`, [SCHEDULE_KEY]);
+  if (r.rowCount === 0) return [];
+  let v = r.rows[0].v;
+  if (typeof v === "string") v = JSON.parse(v);
+  return (Array.isArray(v) ? v : []).sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+}
+
+// The strategy in force for a period (latest entry that started at or before it)
+export function payoutStrategyFor(schedule, periodIndex, fallback) {
+  let found = null;
+  for (const entry of schedule) {
+    if (entry.effectiveFrom <= periodIndex) found = entry;
+  }
+  return found ? found.strategy : fallback;
+}
+
+// Replaces any change already queued for effectiveFrom or later. Returns the new schedule.
+export async function schedulePayoutStrategy(pool, strategy, effectiveFrom) {
+  const v = validatePayoutStrategy(strategy);
+  if (v.error) throw new Error(v.error);
+
+  const schedule = (await loadPayoutSchedule(pool)).filter(e => e.effectiveFrom < effectiveFrom);
+  schedule.push({ effectiveFrom, strategy: v.strategy, setAt: new Date().toISOString() });
+  const kept = schedule.slice(-SCHEDULE_KEEP);
+
+  await pool.query(
+    `INSERT INTO admin_settings(k, v)
+     VALUES($1, $2)
+     ON CONFLICT(k) DO UPDATE SET v = EXCLUDED.v`,
+    [SCHEDULE_KEY, JSON.stringify(kept)]
+  );
+  return kept;
+}
+
+// ----------------------- Exports -----------------------
+export default {
+  PAYOUT_STRATEGY_TYPES,
+  LEGACY_PERCENTS,
+  validatePayoutStrategy,
+  strategyShares,
+  defaultPayoutStrategy,
+  loadPayoutSchedule,
+  payoutStrategyFor,
+  schedulePayoutStrategy
+};
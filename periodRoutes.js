@@ -0,0 +1,89 @@
+// periodRoutes.js
+import { computePeriod, periodBounds } from "./leaderboard.js";
+import { getPeriodSnapshot, listPeriodSnapshots } from "./periodSnapshots.js";
+
+/**
+ * Past period results (frozen at payout time, see periodSnapshots.js)
+ *
+ * Routes:
+ *  - GET /api/periods?from=&to=                      period statuses + snapshot summaries
+ *  - GET /api/periods/:index/leaderboard?limit=&offset=   the exact board a period was paid from
+ */
+export default function registerPeriodRoutes(app, db, opts = {}) {
+  const pool = opts.pool;
+  const DURATION_MS = opts.durationMs ?? 3600000;
+  const MAX_RANGE = 500;
+
+  if (!pool) throw new Error("registerPeriodRoutes requires opts.pool (pg Pool)");
+
+  const bounds = (periodIndex) => periodBounds(periodIndex, DURATION_MS);
+
+  app.get("/api/periods", async (req, res) => {
+    try {
+      const current = computePeriod(Date.now(), DURATION_MS).periodIndex;
+      const to = req.query.to === undefined ? current : Number(req.query.to);
+      const from = req.query.from === undefined ? to - 23 : Number(req.query.from);
+      if (!Number.isInteger(from) || !Number.isInteger(to)) {
+        return res.status(400).json({ ok: false, error: "from and to must be period indexes" });
+      }
+      if (from > to) return res.status(400).json({ ok: false, error: "from must be <= to" });
+      if (to - from + 1 > MAX_RANGE) return res.status(400).json({ ok: false, error: `at most ${MAX_RANGE} periods per request` });
+
+      const snapshots = new Map(
+        (await listPeriodSnapshots(pool, { from, to, limit: MAX_RANGE })).map(s => [s.periodIndex, s])
+      );
+
+      const periods = [];
+      for (let idx = to; idx >= from; idx--) {
+        const record = db.periods?.[idx] || null;
+        const snap = snapshots.get(idx) || null;
+        if (!record && !snap) continue;
+        periods.push({
+          periodIndex: idx,
+          ...bounds(idx),
+          status: record?.status || (snap ? "paid" : null),
+          txHash: record?.txHash || snap?.txHash || null,
+          error: record?.error || null,
+          snapshot: snap
+        });
+      }
+
+      return res.json({ ok: true, from, to, count: periods.length, periods });
+    } catch (err) {
+      console.error("/api/periods error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  app.get("/api/periods/:index/leaderboard", async (req, res) => {
+    try {
+      const periodIndex = Number(String(req.params.index).trim());
+      if (!Number.isInteger(periodIndex)) return res.status(400).json({ ok: false, error: "index must be a period index" });
+      const limit = Math.min(1000, Math.max(1, Number(req.query.limit || 100)));
+      const offset = Math.max(0, Math.floor(Number(req.query.offset || 0)));
+
+      const snap = await getPeriodSnapshot(pool, periodIndex);
+      if (!snap) {
+        return res.status(404).json({
+          ok: false,
+          error: "no snapshot for this period (not paid yet?) - live standings are at /api/leaderboard?period=<index>",
+          periodIndex
+        });
+      }
+
+      const { board, ...summary } = snap;
+      return res.json({
+        ok: true,
+        ...summary,
+        ...bounds(periodIndex),
+        total: board.length,
+        offset,
+        limit,
+        leaderboard: board.slice(offset, offset + limit)
+      });
+    } catch (err) {
+      console.error("/api/periods/:index/leaderboard error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+}
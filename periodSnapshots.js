@@ -0,0 +1,167 @@
+// periodSnapshots.js
+/**
+ * Frozen per-period results
+ *
+ * processPeriod writes one row per paid period: the full ranked board it paid from, the pool
+ * balance, house fee and percentages used, and the resulting payouts. The balance is kept both
+ * as read from the contract (contract_balance_wei) and as paid from (pool_balance_wei = contract
+ * balance - held_wei, the season reserves set aside), with the house fee split between the two
+ * house wallets, so every amount can be checked against the chain. reserved_wei is the season
+ * reserve recorded with the payout plan (matches season_reserves). Rows are insert-only;
+ * a trigger rejects UPDATE and DELETE so payout disputes can be checked against exactly the
+ * data that produced them.
+ *
+ * Exports:
+ *  - ensurePeriodSnapshotsTable(pool)
+ *  - savePeriodSnapshot(pool, snapshot)
+ *  - getPeriodSnapshot(pool, periodIndex)
+ *  - listPeriodSnapshots(pool, { from, to, limit })
+ */
+
+// ----------------------- Schema -----------------------
+export async function ensurePeriodSnapshotsTable(pool) {
+  const sql = `
+CREATE TABLE IF NOT EXISTS period_snapshots (
+  period_index BIGINT PRIMARY KEY,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  tx_hash TEXT,
+  pool_balance_wei NUMERIC(78, 0) NOT NULL,
+  house_fee_wei NUMERIC(78, 0) NOT NULL,
+  payout_pool_wei NUMERIC(78, 0) NOT NULL,
+  percents JSONB NOT NULL,
+  tie_mode TEXT NOT NULL,
+  require_entry BOOLEAN NOT NULL DEFAULT FALSE,
+  player_count INTEGER NOT NULL,
+  board JSONB NOT NULL,
+  payouts JSONB NOT NULL
+);
+
+ALTER TABLE period_snapshots ADD COLUMN IF NOT EXISTS payout_mode TEXT NOT NULL DEFAULT 'overall';
+ALTER TABLE period_snapshots ADD COLUMN IF NOT EXISTS brackets JSONB;
+ALTER TABLE period_snapshots ADD COLUMN IF NOT EXISTS strategy JSONB;
+-- null on snapshots written before these were recorded
+ALTER TABLE period_snapshots ADD COLUMN IF NOT EXISTS contract_balance_wei NUMERIC(78, 0);
+ALTER TABLE period_snapshots ADD COLUMN IF NOT EXISTS held_wei NUMERIC(78, 0);
+ALTER TABLE period_snapshots ADD COLUMN IF NOT EXISTS house1_wei NUMERIC(78, 0);
+ALTER TABLE period_snapshots ADD COLUMN IF NOT EXISTS house2_wei NUMERIC(78, 0);
+ALTER TABLE period_snapshots ADD COLUMN IF NOT EXISTS house_split_bps INTEGER;
+ALTER TABLE period_snapshots ADD COLUMN IF NOT EXISTS reserved_wei NUMERIC(78, 0);
+
+CREATE OR REPLACE FUNCTION period_snapshots_immutable() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'period_snapshots rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'period_snapshots_no_change') THEN
+    CREATE TRIGGER period_snapshots_no_change
+      BEFORE UPDATE OR DELETE ON period_snapshots
+      FOR EACH ROW EXECUTE FUNCTION period_snapshots_immutable();
+  END IF;
+END $$;
+  `;
+  try {
+    await pool.query(sql);
+    console.log("✅ period_snapshots table ensured (exists or created).");
+  } catch (err) {
+    console.error("❌ Failed to ensure period_snapshots table:", err);
+    throw err;
+  }
+}
+
+const weiOrNull = (v) => (v === null || v === undefined ? null : String(v));
+
+function rowToSnapshot(r, { withBoard = true } = {}) {
+  const snap = {
+    periodIndex: Number(r.period_index),
+    createdAt: r.created_at ? new Date(r.created_at).toISOString() : null,
+    txHash: r.tx_hash || null,
+    contractBalanceWei: weiOrNull(r.contract_balance_wei),
+    heldWei: weiOrNull(r.held_wei),
+    poolBalanceWei: String(r.pool_balance_wei),
+    houseFeeWei: String(r.house_fee_wei),
+    house1Wei: weiOrNull(r.house1_wei),
+    house2Wei: weiOrNull(r.house2_wei),
+    houseSplitBps: r.house_split_bps === null || r.house_split_bps === undefined ? null : Number(r.house_split_bps),
+    reservedWei: weiOrNull(r.reserved_wei),
+    payoutPoolWei: String(r.payout_pool_wei),
+    percents: r.percents || [],
+    tieMode: r.tie_mode,
+    payoutMode: r.payout_mode || "overall",
+    brackets: r.brackets || null,
+    strategy: r.strategy || null,
+    requireEntry: !!r.require_entry,
+    playerCount: Number(r.player_count),
+    payouts: r.payouts || []
+  };
+  if (withBoard) snap.board = r.board || [];
+  return snap;
+}
+
+// ----------------------- Writes -----------------------
+// snapshot: { periodIndex, txHash, result (computeWinnersFromOffchain), payouts, requireEntry }
+// Returns false if the period already has a snapshot (the first one wins).
+export async function savePeriodSnapshot(pool, { periodIndex, txHash = null, result, payouts = [], requireEntry = false }) {
+  const r = await pool.query(
+    `INSERT INTO period_snapshots(period_index, tx_hash, pool_balance_wei, house_fee_wei, payout_pool_wei,
+                                  percents, tie_mode, require_entry, player_count, board, payouts,
+                                  payout_mode, brackets, strategy, contract_balance_wei, held_wei,
+                                  house1_wei, house2_wei, house_split_bps, reserved_wei)
+     VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+     ON CONFLICT (period_index) DO NOTHING`,
+    [
+      String(periodIndex),
+      txHash,
+      String(result.poolBalanceBN || "0"),
+      String(result.house || "0"),
+      String(result.payoutPool || "0"),
+      JSON.stringify(result.percents || []),
+      result.tieMode || "ordinal",
+      !!requireEntry,
+      (result.board || []).length,
+      JSON.stringify(result.board || []),
+      JSON.stringify(payouts),
+      result.payoutMode || "overall",
+      result.brackets ? JSON.stringify(result.brackets) : null,
+      result.strategy ? JSON.stringify(result.strategy) : null,
+      weiOrNull(result.contractBalance),
+      weiOrNull(result.heldWei),
+      String(result.house1 || "0"),
+      String(result.house2 || "0"),
+      result.houseSplitBps ?? null,
+      String(result.reserved || "0")
+    ]
+  );
+  return r.rowCount === 1;
+}
+
+// ----------------------- Reads -----------------------
+export async function getPeriodSnapshot(pool, periodIndex) {
+  const r = await pool.query(`SELECT * FROM period_snapshots WHERE period_index = $1 LIMIT 1`, [String(periodIndex)]);
+  return r.rowCount ? rowToSnapshot(r.rows[0]) : null;
+}
+
+// Summaries (no board) for from <= period_index <= to, newest first
+export async function listPeriodSnapshots(pool, { from, to, limit = 100 } = {}) {
+  const r = await pool.query(
+    `SELECT period_index, created_at, tx_hash, pool_balance_wei, house_fee_wei, payout_pool_wei,
+            percents, tie_mode, require_entry, player_count, payouts, payout_mode, brackets, strategy,
+            contract_balance_wei, held_wei, house1_wei, house2_wei, house_split_bps, reserved_wei
+     FROM period_snapshots
+     WHERE period_index BETWEEN $1 AND $2
+     ORDER BY period_index DESC
+     LIMIT $3`,
+    [String(from), String(to), limit]
+  );
+  return r.rows.map(row => rowToSnapshot(row, { withBoard: false }));
+}
+
+// ----------------------- Exports -----------------------
+export default {
+  ensurePeriodSnapshotsTable,
+  savePeriodSnapshot,
+  getPeriodSnapshot,
+  listPeriodSnapshots
+};
@@ -0,0 +1,159 @@
+// playerStatsRoutes.js
+import { computePeriod, playerPercentile } from "./leaderboard.js";
+import { TICK_RATE } from "./gameSim.js";
+
+/**
+ * Per-player statistics and history, computed from verified_plays
+ *
+ * Only plays that count (review_status clean or approved) are included. The SQL part is
+ * cached per player for cacheTtlMs and dropped early by invalidate(address) when that
+ * player has a new counted play; the percentile comes from the in-memory rank index and is
+ * always current.
+ *
+ * Streaks count consecutive periods with at least one counted play. The current streak is
+ * still alive if the player has not played yet in the running period but did in the last one.
+ *
+ * Routes:
+ *  - GET /api/players/:address/stats?periods=50&days=90
+ *
+ * Returns { invalidate(address) }
+ */
+export default function registerPlayerStatsRoutes(app, db, opts = {}) {
+  const pool = opts.pool;
+  const DURATION_MS = opts.durationMs ?? 3600000;
+  const CACHE_TTL_MS = opts.cacheTtlMs ?? 60_000;
+  const CACHE_MAX = opts.cacheMax ?? 1000;
+  const MAX_PERIODS = 500;
+  const MAX_DAYS = 365;
+
+  if (!pool) throw new Error("registerPlayerStatsRoutes requires opts.pool (pg Pool)");
+
+  const COUNTED = `review_status IN ('clean', 'approved')`;
+  const cache = new Map(); // address -> { at, promise }, oldest first
+
+  async function loadStats(addr) {
+    const [totals, perPeriod, daily] = await Promise.all([
+      pool.query(
+        `SELECT COUNT(*)::int AS plays,
+                AVG(score)::float AS average,
+                percentile_cont(0.5) WITHIN GROUP (ORDER BY score)::float AS median,
+                MAX(score) AS best,
+                COALESCE(SUM(survival_ticks), 0)::bigint AS survival_ticks,
+                COALESCE(SUM(kills), 0)::bigint AS kills,
+                MIN(created_at) AS first_play,
+                MAX(created_at) AS last_play
+         FROM verified_plays
+         WHERE user_address = $1 AND ${COUNTED}`,
+        [addr]
+      ),
+      pool.query(
+        `SELECT period_index, MAX(score) AS best, COUNT(*)::int AS plays
+         FROM verified_plays
+         WHERE user_address = $1 AND ${COUNTED} AND period_index IS NOT NULL
+         GROUP BY period_index
+         ORDER BY period_index DESC`,
+        [addr]
+      ),
+      pool.query(
+        `SELECT date_trunc('day', created_at AT TIME ZONE 'UTC') AS day,
+                MAX(score) AS best, AVG(score)::float AS average, COUNT(*)::int AS plays
+         FROM verified_plays
+         WHERE user_address = $1 AND ${COUNTED}
+         GROUP BY 1
+         ORDER BY 1 DESC
+         LIMIT $2`,
+        [addr, MAX_DAYS]
+      )
+    ]);
+
+    const t = totals.rows[0];
+    return {
+      plays: t.plays,
+      averageScore: t.plays ? Math.round(t.average * 100) / 100 : null,
+      medianScore: t.plays ? t.median : null,
+      bestScore: t.plays ? Number(t.best) : null,
+      totalSurvivalTicks: Number(t.survival_ticks),
+      totalSurvivalSeconds: Math.round(Number(t.survival_ticks) / TICK_RATE),
+      totalKills: Number(t.kills),
+      firstPlayAt: t.first_play ? new Date(t.first_play).toISOString() : null,
+      lastPlayAt: t.last_play ? new Date(t.last_play).toISOString() : null,
+      // newest first
+      bestPerPeriod: perPeriod.rows.map(r => ({ periodIndex: Number(r.period_index), best: Number(r.best), plays: r.plays })),
+      // oldest first (chart order); "day" is the UTC date
+      series: daily.rows.reverse().map(r => ({
+        day: new Date(r.day).toISOString().slice(0, 10),
+        best: Number(r.best),
+        average: Math.round(r.average * 100) / 100,
+        plays: r.plays
+      })),
+      computedAt: new Date().toISOString()
+    };
+  }
+
+  // Concurrent requests for the same player share one set of queries
+  function cachedStats(addr) {
+    const hit = cache.get(addr);
+    if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.promise;
+
+    const promise = loadStats(addr);
+    cache.delete(addr);
+    cache.set(addr, { at: Date.now(), promise });
+    promise.catch(() => cache.delete(addr)); // never cache failures
+    while (cache.size > CACHE_MAX) cache.delete(cache.keys().next().value);
+    return promise;
+  }
+
+  function invalidate(address) {
+    cache.delete(String(address).toLowerCase());
+  }
+
+  // bestPerPeriod is newest first
+  function streaks(bestPerPeriod) {
+    const current = computePeriod(Date.now(), DURATION_MS).periodIndex;
+    let longest = 0;
+    let run = 0;
+    for (let i = 0; i < bestPerPeriod.length; i++) {
+      run = i > 0 && bestPerPeriod[i - 1].periodIndex - bestPerPeriod[i].periodIndex === 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+    }
+
+    let currentStreak = 0;
+    const latest = bestPerPeriod[0]?.periodIndex;
+    if (latest === current || latest === current - 1) {
+      currentStreak = 1;
+      while (currentStreak < bestPerPeriod.length &&
+             bestPerPeriod[currentStreak - 1].periodIndex - bestPerPeriod[currentStreak].periodIndex === 1) {
+        currentStreak++;
+      }
+    }
+    return { current: currentStreak, longest, periodsPlayed: bestPerPeriod.length };
+  }
+
+  app.get("/api/players/:address/stats", async (req, res) => {
+    try {
+      const addr = String(req.params.address).trim().toLowerCase();
+      const periods = Math.min(MAX_PERIODS, Math.max(1, Math.floor(Number(req.query.periods || 50)) || 50));
+      const days = Math.min(MAX_DAYS, Math.max(1, Math.floor(Number(req.query.days || 90)) || 90));
+
+      const stats = await cachedStats(addr);
+      if (!stats.plays) return res.status(404).json({ ok: false, error: "no counted plays for this player" });
+
+      const cutoff = new Date(Date.now() - days * 86_400_000).toISOString().slice(0, 10);
+      return res.json({
+        ok: true,
+        user_address: addr,
+        profile_name: db.scores?.[addr]?.profile_name || null,
+        ...stats,
+        streaks: streaks(stats.bestPerPeriod),
+        percentile: playerPercentile(db, addr),
+        bestPerPeriod: stats.bestPerPeriod.slice(0, periods),
+        series: stats.series.filter(p => p.day > cutoff)
+      });
+    } catch (err) {
+      console.error("/api/players/:address/stats error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  return { invalidate };
+}
@@ -0,0 +1,240 @@
+// rankIndex.js
+/**
+ * Ordered rank index (indexable skip list)
+ *
+ * Keeps ids sorted by a caller-supplied comparator. Every link stores its span (how many
+ * entries it skips), so position lookups, "n-th entry" and prefix counts are O(log n) like
+ * inserts and removals. Used for the leaderboards so requests never sort the whole board.
+ *
+ * Keys are plain objects owned by the index: callers pass a fresh key on every update and
+ * must not mutate it afterwards (the index would lose its order).
+ *
+ * Exports:
+ *  - createSkipList(compare)
+ *  - createRankIndex({ compare, scoreOf })
+ */
+
+const MAX_LEVEL = 32;
+const P = 0.25;
+
+function randomLevel() {
+  let level = 1;
+  while (level < MAX_LEVEL && Math.random() < P) level++;
+  return level;
+}
+
+function makeNode(level, key, id) {
+  return { key, id, next: new Array(level).fill(null), span: new Array(level).fill(0) };
+}
+
+// Sorted multiset of (key, id); entries with equal keys are ordered by id
+export function createSkipList(compare) {
+  const head = makeNode(MAX_LEVEL, null, null);
+  let level = 1;
+  let length = 0;
+
+  // Node order: compare(key) then id, so equal keys still have a well-defined slot
+  const before = (node, key, id) => {
+    const c = compare(node.key, key);
+    return c < 0 || (c === 0 && node.id < id);
+  };
+
+  function insert(key, id) {
+    const update = new Array(MAX_LEVEL);
+    const rank = new Array(MAX_LEVEL);
+    let x = head;
+    for (let i = level - 1; i >= 0; i--) {
+      rank[i] = i === level - 1 ? 0 : rank[i + 1];
+      while (x.next[i] && before(x.next[i], key, id)) {
+        rank[i] += x.span[i];
+        x = x.next[i];
+      }
+      update[i] = x;
+    }
+
+    const lvl = randomLevel();
+    if (lvl > level) {
+      for (let i = level; i < lvl; i++) {
+        rank[i] = 0;
+        update[i] = head;
+        update[i].span[i] = length;
+      }
+      level = lvl;
+    }
+
+    const node = makeNode(lvl, key, id);
+    for (let i = 0; i < lvl; i++) {
+      node.next[i] = update[i].next[i];
+      update[i].next[i] = node;
+      node.span[i] = update[i].span[i] - (rank[0] - rank[i]);
+      update[i].span[i] = rank[0] - rank[i] + 1;
+    }
+    for (let i = lvl; i < level; i++) update[i].span[i]++;
+    length++;
+  }
+
+  // Removes the node holding exactly (key, id); returns false if it is not there
+  function remove(key, id) {
+    const update = new Array(MAX_LEVEL);
+    let x = head;
+    for (let i = level - 1; i >= 0; i--) {
+      while (x.next[i] && before(x.next[i], key, id)) x = x.next[i];
+      update[i] = x;
+    }
+    const node = x.next[0];
+    if (!node || node.id !== id || compare(node.key, key) !== 0) return false;
+
+    for (let i = 0; i < level; i++) {
+      if (update[i].next[i] === node) {
+        update[i].span[i] += node.span[i] - 1;
+        update[i].next[i] = node.next[i];
+      } else {
+        update[i].span[i]--;
+      }
+    }
+    while (level > 1 && !head.next[level - 1]) level--;
+    length--;
+    return true;
+  }
+
+  // Number of nodes before the first node for which pred(key) is false.
+  // pred must hold for a prefix of the list (true ... true false ... false).
+  function countWhile(pred) {
+    let x = head;
+    let count = 0;
+    for (let i = level - 1; i >= 0; i--) {
+      while (x.next[i] && pred(x.next[i].key, x.next[i].id)) {
+        count += x.span[i];
+        x = x.next[i];
+      }
+    }
+    return count;
+  }
+
+  // 0-based position of (key, id)
+  function positionOf(key, id) {
+    return countWhile((k, i) => {
+      const c = compare(k, key);
+      return c < 0 || (c === 0 && i < id);
+    });
+  }
+
+  // Node at a 0-based position (or null)
+  function nodeAt(pos) {
+    if (pos < 0 || pos >= length) return null;
+    let x = head;
+    let traversed = -1; // head sits before position 0
+    for (let i = level - 1; i >= 0; i--) {
+      while (x.next[i] && traversed + x.span[i] <= pos) {
+        traversed += x.span[i];
+        x = x.next[i];
+      }
+      if (traversed === pos) return x;
+    }
+    return null;
+  }
+
+  // [{ key, id }] for positions start..end-1
+  function slice(start, end) {
+    const out = [];
+    let x = nodeAt(Math.max(0, start));
+    for (let pos = Math.max(0, start); x && pos < Math.min(end, length); pos++) {
+      out.push({ key: x.key, id: x.id });
+      x = x.next[0];
+    }
+    return out;
+  }
+
+  return { insert, remove, countWhile, positionOf, nodeAt, slice, size: () => length };
+}
+
+/**
+ * Ranked board: one key per id plus a distinct-score list for dense ranks.
+ *  compare(a, b)  total order of keys (best first)
+ *  scoreOf(key)   the value ties are judged on (higher is better)
+ */
+export function createRankIndex({ compare, scoreOf }) {
+  const list = createSkipList(compare);
+  const scores = createSkipList((a, b) => b - a); // distinct scores, best first
+  const scoreCounts = new Map();
+  const keys = new Map(); // id -> current key
+
+  function addScore(s) {
+    const n = scoreCounts.get(s) || 0;
+    if (n === 0) scores.insert(s, "");
+    scoreCounts.set(s, n + 1);
+  }
+
+  function dropScore(s) {
+    const n = scoreCounts.get(s) || 0;
+    if (n <= 1) {
+      scoreCounts.delete(s);
+      scores.remove(s, "");
+    } else {
+      scoreCounts.set(s, n - 1);
+    }
+  }
+
+  function remove(id) {
+    if (!keys.has(id)) return false;
+    const old = keys.get(id);
+    list.remove(old, id);
+    dropScore(scoreOf(old));
+    keys.delete(id);
+    return true;
+  }
+
+  // Insert or move an id
+  function upsert(id, key) {
+    remove(id);
+    list.insert(key, id);
+    addScore(scoreOf(key));
+    keys.set(id, key);
+  }
+
+  // 0-based position in the ordering, or -1
+  function position(id) {
+    return keys.has(id) ? list.positionOf(keys.get(id), id) : -1;
+  }
+
+  // 1-based rank for a mode (see leaderboard.js RANK_MODES), or null
+  function rank(id, mode = "ordinal") {
+    if (!keys.has(id)) return null;
+    const key = keys.get(id);
+    return rankAt(list.positionOf(key, id), key, mode);
+  }
+
+  // Rank of the entry at pos whose key is known (avoids a second lookup when paging)
+  function rankAt(pos, key, mode = "ordinal") {
+    if (mode === "ordinal") return pos + 1;
+    const s = scoreOf(key);
+    if (mode === "competition") return list.countWhile(k => scoreOf(k) > s) + 1;
+    if (mode === "dense") return scores.countWhile(k => k > s) + 1;
+    throw new Error(`unknown rank mode ${mode}`);
+  }
+
+  // Position of the first entry that sorts after key (for keyset cursors)
+  function positionAfter(key) {
+    return list.countWhile(k => compare(k, key) <= 0);
+  }
+
+  // [{ id, key, position }] for positions start..end-1
+  function range(start, end) {
+    return list.slice(start, end).map((n, i) => ({ id: n.id, key: n.key, position: Math.max(0, start) + i }));
+  }
+
+  return {
+    upsert,
+    remove,
+    has: (id) => keys.has(id),
+    keyOf: (id) => (keys.has(id) ? keys.get(id) : null),
+    size: () => keys.size,
+    position,
+    rank,
+    rankAt,
+    positionAfter,
+    range
+  };
+}
+
+export default { createSkipList, createRankIndex };
@@ -0,0 +1,128 @@
+// replayCodec.js
+import { ACTIONS, MAX_INPUTS } from "./gameSim.js";
+
+/**
+ * Compact binary replay format
+ *
+ *   bytes 0..1  magic "AR"
+ *   byte  2     format version (1 or 2)
+ *   varint      number of entries
+ *
+ * v1 (input array, schema v1):
+ *   varint * n  (tickDelta << 2) | actionCode
+ * v2 (typed events, schema v2):
+ *   varint * n  (tickDelta << 3) | eventCode, followed by a varint payload for
+ *               score (value) and damage (hp)
+ *
+ * tickDelta is the distance to the previous entry's tick (the first one is relative to
+ * tick 0). actionCode is the index into gameSim ACTIONS; eventCode is the index into
+ * EVENT_CODES. Varints are unsigned LEB128, so a typical entry costs a single byte.
+ * Decoding yields the same value as the JSON upload ([{ tick, action }] or
+ * { version: 2, events }), so canonicalization and replay hashes are identical.
+ *
+ * Exports:
+ *  - REPLAY_FORMAT_VERSION
+ *  - encodeReplay(replay) -> Buffer
+ *  - decodeReplay(buf) -> [{ tick, action }] | { version: 2, events }
+ */
+
+export const REPLAY_FORMAT_VERSION = 2;
+const MAGIC = [0x41, 0x52]; // "AR"
+
+// v2 event codes (3 bits): the three input actions, then the outcome events
+const EVENT_CODES = [
+  { type: "input", action: "left" },
+  { type: "input", action: "right" },
+  { type: "input", action: "fire" },
+  { type: "score", payload: "value" },
+  { type: "kill" },
+  { type: "pickup" },
+  { type: "damage", payload: "hp" },
+  { type: "death" }
+];
+
+function eventCode(ev) {
+  return EVENT_CODES.findIndex(c => c.type === ev.type && (c.type !== "input" || c.action === ev.action));
+}
+
+function writeVarint(out, value) {
+  let v = value;
+  while (v >= 0x80) {
+    out.push((v & 0x7f) | 0x80);
+    v = Math.floor(v / 128);
+  }
+  out.push(v);
+}
+
+function readVarint(buf, state) {
+  let result = 0;
+  let multiplier = 1;
+  for (let i = 0; i < 5; i++) {
+    if (state.offset >= buf.length) throw new Error("truncated replay");
+    const byte = buf[state.offset++];
+    result += (byte & 0x7f) * multiplier;
+    if ((byte & 0x80) === 0) return result;
+    multiplier *= 128;
+  }
+  throw new Error("varint too long");
+}
+
+// Array of inputs -> v1, { version: 2, events } -> v2
+export function encodeReplay(replay) {
+  const v2 = !Array.isArray(replay);
+  const entries = v2 ? replay.events : replay;
+  const out = [...MAGIC, v2 ? 2 : 1];
+  writeVarint(out, entries.length);
+  let lastTick = 0;
+  for (const ev of entries) {
+    const code = v2 ? eventCode(ev) : ACTIONS.indexOf(ev.action);
+    if (code < 0) throw new Error(`unknown ${v2 ? "event" : "action"} ${v2 ? ev.type : ev.action}`);
+    const delta = ev.tick - lastTick;
+    if (!Number.isInteger(delta) || delta < 0) throw new Error("ticks must be non-decreasing integers");
+    writeVarint(out, delta * (v2 ? 8 : 4) + code);
+    if (v2 && EVENT_CODES[code].payload) writeVarint(out, ev[EVENT_CODES[code].payload]);
+    lastTick = ev.tick;
+  }
+  return Buffer.from(out);
+}
+
+// Throws Error (with a client-safe message) on malformed input
+export function decodeReplay(buf) {
+  if (!Buffer.isBuffer(buf)) buf = Buffer.from(buf);
+  if (buf.length < 4 || buf[0] !== MAGIC[0] || buf[1] !== MAGIC[1]) throw new Error("not a binary replay");
+  const version = buf[2];
+  if (version !== 1 && version !== 2) throw new Error(`unsupported replay format version ${version}`);
+
+  const state = { offset: 3 };
+  const count = readVarint(buf, state);
+  if (count > MAX_INPUTS * 2) throw new Error("too many replay entries");
+
+  const entries = [];
+  let tick = 0;
+  for (let i = 0; i < count; i++) {
+    const v = readVarint(buf, state);
+    if (version === 1) {
+      const code = v % 4;
+      if (code >= ACTIONS.length) throw new Error(`invalid action at index ${i}`);
+      tick += Math.floor(v / 4);
+      entries.push({ tick, action: ACTIONS[code] });
+    } else {
+      const spec = EVENT_CODES[v % 8];
+      tick += Math.floor(v / 8);
+      const ev = { tick, type: spec.type };
+      if (spec.action) ev.action = spec.action;
+      if (spec.payload) ev[spec.payload] = readVarint(buf, state);
+      entries.push(ev);
+    }
+  }
+  if (state.offset !== buf.length) throw new Error("trailing bytes after replay");
+  // entry limits and field rules are enforced by parseReplay (replaySchema.js)
+  return version === 1 ? entries : { version: 2, events: entries };
+}
+
+// ----------------------- Exports -----------------------
+export default {
+  REPLAY_FORMAT_VERSION,
+  encodeReplay,
+  decodeReplay
+};
@@ -0,0 +1,118 @@
+// replayRoutes.js
+import { computePeriod } from "./leaderboard.js";
+
+/**
+ * Public replay retrieval (ghost runs / "why am I ranked here")
+ *
+ * Only plays that count (review_status clean or approved) are exposed.
+ *
+ * Routes:
+ *  - GET /api/replays/:replayHash
+ *  - GET /api/players/:address/replays?limit=&offset=
+ *  - GET /api/periods/:index/best-replay   (:index may be "current")
+ */
+export default function registerReplayRoutes(app, db, opts = {}) {
+  const pool = opts.pool;
+  const DURATION_MS = opts.durationMs ?? 3600000;
+
+  if (!pool) throw new Error("registerReplayRoutes requires opts.pool (pg Pool)");
+
+  const COUNTED = `review_status IN ('clean', 'approved')`;
+
+  function toMeta(r) {
+    const addr = String(r.user_address).toLowerCase();
+    return {
+      replayHash: r.replay_hash,
+      user_address: addr,
+      profile_name: db.scores?.[addr]?.profile_name || null,
+      score: Number(r.score),
+      kills: r.kills === null ? null : Number(r.kills),
+      survival_ticks: r.survival_ticks === null ? null : Number(r.survival_ticks),
+      period_index: r.period_index === null ? null : Number(r.period_index),
+      created_at: r.created_at ? new Date(r.created_at).toISOString() : null
+    };
+  }
+
+  // raw_replay is stored as the canonical JSON string; pg hands JSONB back parsed
+  function toReplay(raw) {
+    if (typeof raw !== "string") return raw;
+    try { return JSON.parse(raw); } catch { return raw; }
+  }
+
+  app.get("/api/replays/:replayHash", async (req, res) => {
+    try {
+      const hash = String(req.params.replayHash).trim().toLowerCase();
+      if (!/^0x[0-9a-f]{64}$/.test(hash)) return res.status(400).json({ ok: false, error: "invalid replay hash" });
+
+      const r = await pool.query(
+        `SELECT * FROM verified_plays WHERE replay_hash = $1 AND ${COUNTED} LIMIT 1`,
+        [hash]
+      );
+      if (r.rowCount === 0) return res.status(404).json({ ok: false, error: "replay not found" });
+
+      const row = r.rows[0];
+      return res.json({ ok: true, ...toMeta(row), replay: toReplay(row.raw_replay) });
+    } catch (err) {
+      console.error("/api/replays/:replayHash error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  app.get("/api/players/:address/replays", async (req, res) => {
+    try {
+      const addr = String(req.params.address).trim().toLowerCase();
+      // a non-numeric limit falls back to the default
+      const limit = Math.min(100, Math.max(1, Math.floor(Number(req.query.limit || 20)) || 20));
+      const offset = Math.max(0, Math.floor(Number(req.query.offset || 0)));
+      if (Number.isNaN(offset)) return res.status(400).json({ ok: false, error: "offset must be a number" });
+
+      const [rows, total] = await Promise.all([
+        pool.query(
+          `SELECT replay_hash, user_address, score, kills, survival_ticks, period_index, created_at
+           FROM verified_plays
+           WHERE user_address = $1 AND ${COUNTED}
+           ORDER BY created_at DESC, id DESC
+           LIMIT $2 OFFSET $3`,
+          [addr, limit, offset]
+        ),
+        pool.query(`SELECT COUNT(*)::int AS n FROM verified_plays WHERE user_address = $1 AND ${COUNTED}`, [addr])
+      ]);
+
+      return res.json({
+        ok: true,
+        user_address: addr,
+        total: total.rows[0].n,
+        limit,
+        offset,
+        replays: rows.rows.map(toMeta)
+      });
+    } catch (err) {
+      console.error("/api/players/:address/replays error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  // Best counted play of a period; ties go to whoever got there first
+  app.get("/api/periods/:index/best-replay", async (req, res) => {
+    try {
+      const raw = String(req.params.index).trim().toLowerCase();
+      const periodIndex = raw === "current" ? computePeriod(Date.now(), DURATION_MS).periodIndex : Number(raw);
+      if (!Number.isInteger(periodIndex)) return res.status(400).json({ ok: false, error: "index must be a period index or current" });
+
+      const r = await pool.query(
+        `SELECT * FROM verified_plays
+         WHERE period_index = $1 AND ${COUNTED}
+         ORDER BY score DESC, created_at ASC, id ASC
+         LIMIT 1`,
+        [String(periodIndex)]
+      );
+      if (r.rowCount === 0) return res.status(404).json({ ok: false, error: "no plays in period", periodIndex });
+
+      const row = r.rows[0];
+      return res.json({ ok: true, periodIndex, ...toMeta(row), replay: toReplay(row.raw_replay) });
+    } catch (err) {
+      console.error("/api/periods/:index/best-replay error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+}
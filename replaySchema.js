@@ -0,0 +1,153 @@
+// replaySchema.js
+import { ACTIONS, MAX_TICKS, MAX_INPUTS, normalizeInputs } from "./gameSim.js";
+
+/**
+ * Versioned replay schema + derived gameplay stats
+ *
+ *  v1: [{ tick, action }]                        player inputs only
+ *  v2: { version: 2, events: [{ tick, type, ... }] } typed events:
+ *        input  { action }   player input (drives the simulation)
+ *        score  { value }    client score at the end of that tick
+ *        kill | pickup | death
+ *        damage { hp }       hp left after the hit
+ *
+ * Inputs are re-simulated; the outcome events a v2 client logged must match the events
+ * the server simulation produced. Stats are always derived from the server's event log.
+ *
+ * Exports:
+ *  - REPLAY_SCHEMA_VERSION, EVENT_TYPES
+ *  - parseReplay(replay)
+ *  - scoreCheckTicks(outcomes)
+ *  - verifyOutcomes(outcomes, sim)
+ *  - deriveStats(sim)
+ */
+
+export const REPLAY_SCHEMA_VERSION = 2;
+
+// type -> extra fields (validator per field)
+const isUint = (v) => Number.isInteger(v) && v >= 0;
+export const EVENT_TYPES = {
+  input: { action: (v) => ACTIONS.includes(v) },
+  score: { value: isUint },
+  kill: {},
+  pickup: {},
+  damage: { hp: isUint },
+  death: {}
+};
+
+const MAX_OUTCOME_EVENTS = 5000;
+
+// Returns { version, inputs, outcomes } (outcomes is null for v1) or { error }
+export function parseReplay(replay) {
+  if (Array.isArray(replay)) {
+    const { inputs, error } = normalizeInputs(replay);
+    return error ? { error } : { version: 1, inputs, outcomes: null };
+  }
+
+  if (!replay || typeof replay !== "object") return { error: "replay must be an array or a versioned object" };
+  if (Number(replay.version) !== 2) return { error: `unsupported replay schema version ${replay.version}` };
+  if (!Array.isArray(replay.events)) return { error: "replay.events must be an array" };
+  if (replay.events.length > MAX_INPUTS + MAX_OUTCOME_EVENTS) return { error: "too many replay events" };
+
+  const inputs = [];
+  const outcomes = [];
+  let lastTick = 0;
+  for (let i = 0; i < replay.events.length; i++) {
+    const ev = replay.events[i];
+    if (!ev || typeof ev !== "object") return { error: `invalid event at index ${i}` };
+
+    const spec = EVENT_TYPES[ev.type];
+    if (!spec) return { error: `unknown event type at index ${i}` };
+
+    const tick = Number(ev.tick);
+    if (!Number.isInteger(tick) || tick < 0 || tick >= MAX_TICKS) return { error: `invalid tick at index ${i}` };
+    if (tick < lastTick) return { error: `ticks must be non-decreasing (index ${i})` };
+    lastTick = tick;
+
+    const clean = { tick, type: ev.type };
+    for (const [field, valid] of Object.entries(spec)) {
+      if (!valid(ev[field])) return { error: `invalid ${ev.type}.${field} at index ${i}` };
+      clean[field] = ev[field];
+    }
+
+    if (ev.type === "input") inputs.push({ tick, action: ev.action });
+    else outcomes.push(clean);
+  }
+  if (outcomes.length > MAX_OUTCOME_EVENTS) return { error: `replay must have 0..${MAX_OUTCOME_EVENTS} outcome events` };
+
+  const normalized = normalizeInputs(inputs);
+  if (normalized.error) return { error: normalized.error };
+  return { version: 2, inputs: normalized.inputs, outcomes };
+}
+
+// Ticks at which the simulation must report the score (for v2 score events)
+export function scoreCheckTicks(outcomes) {
+  if (!outcomes) return null;
+  return new Set(outcomes.filter(e => e.type === "score").map(e => e.tick));
+}
+
+const eventKey = (e) => `${e.tick}:${e.type}:${e.hp ?? ""}`;
+
+// Compare client outcome events against the simulation (run with recordEvents + scoreTicks).
+// Returns null when they agree, otherwise a short description of the first difference.
+export function verifyOutcomes(outcomes, sim) {
+  if (!outcomes) return null;
+
+  for (const e of outcomes) {
+    if (e.type !== "score") continue;
+    const expected = sim.scoreAt?.get(e.tick);
+    if (expected === undefined) return `score event at tick ${e.tick} is after the end of the run`;
+    if (expected !== e.value) return `score at tick ${e.tick} is ${expected}, replay says ${e.value}`;
+  }
+
+  const client = outcomes.filter(e => e.type !== "score").map(eventKey).sort();
+  const server = sim.events.filter(e => e.type !== "shot").map(eventKey).sort();
+  if (client.length !== server.length) return `expected ${server.length} gameplay events, replay has ${client.length}`;
+  for (let i = 0; i < client.length; i++) {
+    if (client[i] !== server[i]) return `gameplay event mismatch (${client[i]} vs ${server[i]})`;
+  }
+  return null;
+}
+
+// Aggregate stats from the server's event log (simulateReplay with recordEvents: true).
+// Combo = consecutive shots that hit; a miss or taking damage ends it.
+export function deriveStats(sim) {
+  let kills = 0, shots = 0, hits = 0, pickups = 0, damageTaken = 0;
+  let combo = 0, maxCombo = 0;
+  for (const e of sim.events || []) {
+    if (e.type === "shot") {
+      shots++;
+      if (e.hit) {
+        hits++;
+        combo++;
+        maxCombo = Math.max(maxCombo, combo);
+      } else {
+        combo = 0;
+      }
+    } else if (e.type === "kill") kills++;
+    else if (e.type === "pickup") pickups++;
+    else if (e.type === "damage") {
+      damageTaken++;
+      combo = 0;
+    }
+  }
+  return {
+    kills,
+    shots,
+    hits,
+    accuracy: shots ? hits / shots : null,
+    maxCombo,
+    pickups,
+    damageTaken
+  };
+}
+
+// ----------------------- Exports -----------------------
+export default {
+  REPLAY_SCHEMA_VERSION,
+  EVENT_TYPES,
+  parseReplay,
+  scoreCheckTicks,
+  verifyOutcomes,
+  deriveStats
+};
@@ -0,0 +1,77 @@
+// seasonRoutes.js
+import { getSeason, listSeasons, seasonAt, seasonStandings } from "./seasons.js";
+
+/**
+ * Season standings (points accrued per paid period, see seasons.js)
+ *
+ * Routes:
+ *  - GET /api/seasons
+ *  - GET /api/seasons/:id/leaderboard?limit=&offset=&user=   (:id may be "current")
+ */
+export default function registerSeasonRoutes(app, db, opts = {}) {
+  const pool = opts.pool;
+
+  if (!pool) throw new Error("registerSeasonRoutes requires opts.pool (pg Pool)");
+
+  // Public view of a season (bonus bookkeeping stays on the admin side)
+  function toPublic(season) {
+    const now = Date.now();
+    return {
+      id: season.id,
+      name: season.name,
+      startsAt: season.startsAt,
+      endsAt: season.endsAt,
+      status: now < Date.parse(season.startsAt) ? "upcoming" : now < Date.parse(season.endsAt) ? "active" : "ended",
+      points: season.points,
+      bonusPercents: season.bonusBps ? season.bonusPercents : [],
+      bonusPaid: season.bonusStatus === "paid"
+    };
+  }
+
+  app.get("/api/seasons", async (req, res) => {
+    try {
+      const seasons = (await listSeasons(pool)).map(toPublic);
+      return res.json({ ok: true, count: seasons.length, seasons });
+    } catch (err) {
+      console.error("/api/seasons error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+
+  app.get("/api/seasons/:id/leaderboard", async (req, res) => {
+    try {
+      const raw = String(req.params.id).trim().toLowerCase();
+      let season;
+      if (raw === "current") {
+        season = await seasonAt(pool, Date.now());
+        if (!season) return res.status(404).json({ ok: false, error: "no season is running" });
+      } else {
+        const id = Number(raw);
+        if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ ok: false, error: "id must be a season id or current" });
+        season = await getSeason(pool, id);
+        if (!season) return res.status(404).json({ ok: false, error: "season not found" });
+      }
+
+      // a non-numeric limit falls back to the default
+      const limit = Math.min(100, Math.max(1, Math.floor(Number(req.query.limit || 50)) || 50));
+      const offset = Math.max(0, Math.floor(Number(req.query.offset || 0)));
+      if (Number.isNaN(offset)) return res.status(400).json({ ok: false, error: "offset must be a number" });
+      const user = req.query.user ? String(req.query.user).trim().toLowerCase() : null;
+
+      const page = await seasonStandings(pool, season.id, { limit, offset, user });
+      const withName = (e) => ({ ...e, profile_name: db.scores?.[e.user_address]?.profile_name || null });
+      return res.json({
+        ok: true,
+        season: toPublic(season),
+        total: page.total,
+        offset,
+        count: page.standings.length,
+        leaderboard: page.standings.map(withName),
+        player: page.player ? withName(page.player) : null
+      });
+    } catch (err) {
+      console.error("/api/seasons/:id/leaderboard error:", err);
+      return res.status(500).json({ ok: false, error: String(err) });
+    }
+  });
+}
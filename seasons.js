@@ -0,0 +1,325 @@
+// seasons.js
+/**
+ * Seasons: cumulative standings across periods
+ *
+ * An admin defines a season's time range and a points table (points[i] for finishing
+ * position i+1 in a period, e.g. [25, 18, 15, 12, 10, 8, 6, 4, 2, 1]). A period belongs to
+ * the season its start time falls in. When processPeriod pays a period, every eligible
+ * player on its board gets the points for their position (one row per player and period, so
+ * re-running the award is harmless).
+ *
+ * Optional bonus: bonus_bps of each period's payout pool (after the house fee) is held back
+ * in the contract as the season reserve. After the season ends an admin pays the reserve to
+ * the top of the season standings by bonus_percents. Until then, reserves of seasons whose
+ * bonus is not paid are excluded from every period's pool balance (heldReserveWei). A period's
+ * reserve is recorded together with its payout plan (processPeriod opts.onPlanned), so it
+ * exists before any money moves.
+ *
+ * Exports:
+ *  - ensureSeasonTables(pool)
+ *  - validateSeason(spec)
+ *  - createSeason(pool, spec)
+ *  - listSeasons(pool)
+ *  - getSeason(pool, seasonId)
+ *  - seasonAt(pool, ts)
+ *  - awardSeasonPoints(pool, season, periodIndex, board)
+ *  - recordSeasonReserve(pool, seasonId, periodIndex, amountWei)
+ *  - dropSeasonReserve(pool, periodIndex)
+ *  - heldReserveWei(pool, { exceptPeriod })
+ *  - seasonStandings(pool, seasonId, { limit, offset, user })
+ *  - seasonBonusPlan(pool, season)
+ *  - claimSeasonBonus(pool, seasonId)
+ *  - finishSeasonBonus(pool, seasonId, { status, txHash, payouts, error })
+ */
+
+// ----------------------- Schema -----------------------
+export async function ensureSeasonTables(pool) {
+  const sql = `
+CREATE TABLE IF NOT EXISTS seasons (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  points JSONB NOT NULL,
+  bonus_bps INTEGER NOT NULL DEFAULT 0,
+  bonus_percents JSONB NOT NULL DEFAULT '[]',
+  bonus_status TEXT,
+  bonus_tx_hash TEXT,
+  bonus_payouts JSONB,
+  bonus_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (ends_at > starts_at)
+);
+
+CREATE TABLE IF NOT EXISTS season_points (
+  season_id BIGINT NOT NULL REFERENCES seasons(id),
+  period_index BIGINT NOT NULL,
+  user_address TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  points INTEGER NOT NULL,
+  awarded_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (season_id, period_index, user_address)
+);
+
+CREATE TABLE IF NOT EXISTS season_reserves (
+  season_id BIGINT NOT NULL REFERENCES seasons(id),
+  period_index BIGINT NOT NULL,
+  amount_wei NUMERIC(78, 0) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (season_id, period_index)
+);
+  `;
+  try {
+    await pool.query(sql);
+    console.log("✅ seasons/season_points/season_reserves tables ensured (exists or created).");
+  } catch (err) {
+    console.error("❌ Failed to ensure season tables:", err);
+    throw err;
+  }
+}
+
+function rowToSeason(r) {
+  return {
+    id: Number(r.id),
+    name: r.name,
+    startsAt: new Date(r.starts_at).toISOString(),
+    endsAt: new Date(r.ends_at).toISOString(),
+    points: r.points || [],
+    bonusBps: Number(r.bonus_bps || 0),
+    bonusPercents: r.bonus_percents || [],
+    bonusStatus: r.bonus_status || null,
+    bonusTxHash: r.bonus_tx_hash || null,
+    bonusPayouts: r.bonus_payouts || null,
+    bonusError: r.bonus_error || null
+  };
+}
+
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+
+// spec: { name, startsAt, endsAt, points, bonusBps, bonusPercents } -> { season } | { error }
+export function validateSeason(spec = {}) {
+  const name = String(spec.name ?? "").trim();
+  if (!name || name.length > 64) return { error: "name must be 1-64 characters" };
+  const startsAt = new Date(spec.startsAt);
+  const endsAt = new Date(spec.endsAt);
+  if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) return { error: "startsAt and endsAt must be dates" };
+  if (endsAt <= startsAt) return { error: "endsAt must be after startsAt" };
+
+  const points = Array.isArray(spec.points) ? spec.points.map(Number) : null;
+  if (!points || !points.length || points.length > 100 || !points.every(isCount)) {
+    return { error: "points must be a list of 1-100 non-negative integers (points for 1st, 2nd, ...)" };
+  }
+
+  const bonusBps = Number(spec.bonusBps ?? 0);
+  if (!isCount(bonusBps) || bonusBps > 10000) return { error: "bonusBps must be an integer from 0 to 10000" };
+  const bonusPercents = Array.isArray(spec.bonusPercents) ? spec.bonusPercents.map(Number) : [];
+  if (!bonusPercents.every(isCount) || bonusPercents.reduce((a, b) => a + b, 0) > 100) {
+    return { error: "bonusPercents must be non-negative integers adding up to at most 100" };
+  }
+  if (bonusBps > 0 && !bonusPercents.length) return { error: "bonusPercents is required when bonusBps > 0" };
+
+  return { season: { name, startsAt, endsAt, points, bonusBps, bonusPercents } };
+}
+
+// ----------------------- Seasons -----------------------
+// Returns { season } or { error, status }; seasons may not overlap
+export async function createSeason(pool, spec) {
+  const v = validateSeason(spec);
+  if (v.error) return { error: v.error, status: 400 };
+  const s = v.season;
+
+  const overlap = await pool.query(
+    `SELECT id, name FROM seasons WHERE starts_at < $2 AND ends_at > $1 LIMIT 1`,
+    [s.startsAt, s.endsAt]
+  );
+  if (overlap.rowCount) {
+    return { error: `overlaps season ${overlap.rows[0].id} (${overlap.rows[0].name})`, status: 409 };
+  }
+
+  const r = await pool.query(
+    `INSERT INTO seasons(name, starts_at, ends_at, points, bonus_bps, bonus_percents)
+     VALUES($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [s.name, s.startsAt, s.endsAt, JSON.stringify(s.points), s.bonusBps, JSON.stringify(s.bonusPercents)]
+  );
+  return { season: rowToSeason(r.rows[0]) };
+}
+
+export async function listSeasons(pool) {
+  const r = await pool.query(`SELECT * FROM seasons ORDER BY starts_at DESC`);
+  return r.rows.map(rowToSeason);
+}
+
+export async function getSeason(pool, seasonId) {
+  const r = await pool.query(`SELECT * FROM seasons WHERE id = $1 LIMIT 1`, [String(seasonId)]);
+  return r.rowCount ? rowToSeason(r.rows[0]) : null;
+}
+
+// Season running at ts (ms), or null
+export async function seasonAt(pool, ts) {
+  const r = await pool.query(
+    `SELECT * FROM seasons WHERE starts_at <= $1 AND ends_at > $1 ORDER BY starts_at DESC LIMIT 1`,
+    [new Date(ts)]
+  );
+  return r.rowCount ? rowToSeason(r.rows[0]) : null;
+}
+
+// ----------------------- Points & reserves -----------------------
+// board: a paid period's ranked board (computeWinnersFromOffchain result.board). Positions
+// count eligible players only, in board order. Returns the number of rows written.
+export async function awardSeasonPoints(pool, season, periodIndex, board) {
+  const ranked = (board || []).filter(p => p.eligible !== false);
+  let written = 0;
+  for (let i = 0; i < ranked.length && i < season.points.length; i++) {
+    const points = season.points[i];
+    if (!points) continue;
+    const r = await pool.query(
+      `INSERT INTO season_points(season_id, period_index, user_address, position, points)
+       VALUES($1, $2, $3, $4, $5)
+       ON CONFLICT (season_id, period_index, user_address) DO NOTHING`,
+      [String(season.id), String(periodIndex), String(ranked[i].user_address).toLowerCase(), i + 1, points]
+    );
+    written += r.rowCount;
+  }
+  return written;
+}
+
+// pool may be a client inside a transaction (see processPeriod opts.onPlanned)
+export async function recordSeasonReserve(pool, seasonId, periodIndex, amountWei) {
+  if (BigInt(amountWei || 0) <= 0n) return false;
+  const r = await pool.query(
+    `INSERT INTO season_reserves(season_id, period_index, amount_wei)
+     VALUES($1, $2, $3)
+     ON CONFLICT (season_id, period_index) DO NOTHING`,
+    [String(seasonId), String(periodIndex), String(amountWei)]
+  );
+  return r.rowCount === 1;
+}
+
+// For a payout plan that was dropped before anything was signed (the period is recomputed)
+export async function dropSeasonReserve(pool, periodIndex) {
+  await pool.query(`DELETE FROM season_reserves WHERE period_index = $1`, [String(periodIndex)]);
+}
+
+// Reserved wei not paid out yet (excluded from period pool balances), as a BigInt.
+// exceptPeriod: leave out that period's own reserve (it is recomputed with its payout).
+export async function heldReserveWei(pool, { exceptPeriod = null } = {}) {
+  const r = await pool.query(
+    `SELECT COALESCE(SUM(r.amount_wei), 0)::text AS held
+     FROM season_reserves r JOIN seasons s ON s.id = r.season_id
+     WHERE s.bonus_status IS DISTINCT FROM 'paid'
+       AND r.period_index IS DISTINCT FROM $1`,
+    [exceptPeriod === null ? null : String(exceptPeriod)]
+  );
+  return BigInt(r.rows[0].held);
+}
+
+// ----------------------- Standings -----------------------
+// Order: points, then period wins, then best finish, then address. rank is 1-based.
+// Returns { total, standings, player } (player = the user's row, null if they have no points).
+export async function seasonStandings(pool, seasonId, { limit = 50, offset = 0, user = null } = {}) {
+  const r = await pool.query(
+    `WITH totals AS (
+       SELECT user_address,
+              SUM(points)::int AS points,
+              COUNT(*)::int AS periods,
+              COUNT(*) FILTER (WHERE position = 1)::int AS wins,
+              MIN(position)::int AS best_finish
+       FROM season_points WHERE season_id = $1
+       GROUP BY user_address
+     ), ranked AS (
+       SELECT *, ROW_NUMBER() OVER (ORDER BY points DESC, wins DESC, best_finish ASC, user_address ASC)::int AS rank,
+              COUNT(*) OVER ()::int AS total
+       FROM totals
+     )
+     SELECT * FROM ranked
+     WHERE (rank > $2 AND rank <= $2 + $3) OR user_address = $4
+     ORDER BY rank`,
+    [String(seasonId), offset, limit, user ? String(user).toLowerCase() : null]
+  );
+
+  const toEntry = (row) => ({
+    rank: row.rank,
+    user_address: row.user_address,
+    points: row.points,
+    periods: row.periods,
+    wins: row.wins,
+    best_finish: row.best_finish
+  });
+  const userAddr = user ? String(user).toLowerCase() : null;
+  const playerRow = userAddr ? r.rows.find(row => row.user_address === userAddr) : null;
+  let total = r.rows[0]?.total ?? 0;
+  if (!r.rowCount && offset > 0) {
+    const c = await pool.query(`SELECT COUNT(DISTINCT user_address)::int AS n FROM season_points WHERE season_id = $1`, [String(seasonId)]);
+    total = c.rows[0].n;
+  }
+  return {
+    total,
+    standings: r.rows.filter(row => row.rank > offset && row.rank <= offset + limit).map(toEntry),
+    player: playerRow ? toEntry(playerRow) : null
+  };
+}
+
+// ----------------------- Bonus -----------------------
+// { reservedWei, winners, amounts (wei strings), ranks } for the season's final standings
+export async function seasonBonusPlan(pool, season) {
+  const res = await pool.query(
+    `SELECT COALESCE(SUM(amount_wei), 0)::text AS total FROM season_reserves WHERE season_id = $1`,
+    [String(season.id)]
+  );
+  const reservedBN = BigInt(res.rows[0].total);
+  const { standings } = await seasonStandings(pool, season.id, { limit: season.bonusPercents.length, offset: 0 });
+
+  const winners = [];
+  const amounts = [];
+  const ranks = [];
+  standings.forEach((s, i) => {
+    const amount = (reservedBN * BigInt(season.bonusPercents[i] || 0)) / 100n;
+    if (amount <= 0n) return;
+    winners.push(s.user_address);
+    amounts.push(amount.toString());
+    ranks.push(s.rank);
+  });
+  return { reservedWei: reservedBN.toString(), winners, amounts, ranks };
+}
+
+// Moves the bonus to "paying" (only from unpaid or failed) so it cannot be paid twice
+// concurrently. Returns the season or null if it is already paying/paid.
+export async function claimSeasonBonus(pool, seasonId) {
+  const r = await pool.query(
+    `UPDATE seasons SET bonus_status = 'paying', bonus_error = NULL
+     WHERE id = $1 AND (bonus_status IS NULL OR bonus_status = 'failed')
+     RETURNING *`,
+    [String(seasonId)]
+  );
+  return r.rowCount ? rowToSeason(r.rows[0]) : null;
+}
+
+// status: paid | failed
+export async function finishSeasonBonus(pool, seasonId, { status, txHash = null, payouts = null, error = null }) {
+  const r = await pool.query(
+    `UPDATE seasons SET bonus_status = $2, bonus_tx_hash = $3, bonus_payouts = $4, bonus_error = $5
+     WHERE id = $1
+     RETURNING *`,
+    [String(seasonId), status, txHash, payouts ? JSON.stringify(payouts) : null, error]
+  );
+  return r.rowCount ? rowToSeason(r.rows[0]) : null;
+}
+
+// ----------------------- Exports -----------------------
+export default {
+  ensureSeasonTables,
+  validateSeason,
+  createSeason,
+  listSeasons,
+  getSeason,
+  seasonAt,
+  awardSeasonPoints,
+  recordSeasonReserve,
+  dropSeasonReserve,
+  heldReserveWei,
+  seasonStandings,
+  seasonBonusPlan,
+  claimSeasonBonus,
+  finishSeasonBonus
+};
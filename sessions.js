@@ -0,0 +1,113 @@
+// sessions.js
+import { ethers } from "ethers";
+
+/**
+ * Game session persistence (Postgres-backed, safe across restarts and instances)
+ *
+ * Exports:
+ *  - ensureGameSessionsTable(pool)
+ *  - createSession(pool, { userAddress, seed, ttlMs })
+ *  - getSession(pool, sessionId)
+ *  - consumeSession(client, sessionId)
+ *  - sweepExpiredSessions(pool)
+ */
+
+// ----------------------- Schema -----------------------
+export async function ensureGameSessionsTable(pool) {
+  const sql = `
+CREATE TABLE IF NOT EXISTS game_sessions (
+  session_id TEXT PRIMARY KEY,
+  user_address TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used BOOLEAN NOT NULL DEFAULT FALSE,
+  used_at TIMESTAMPTZ
+);
+
+-- Safe migration: seed column (older schema)
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS seed BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_game_sessions_expires_at
+  ON game_sessions (expires_at);
+  `;
+  try {
+    await pool.query(sql);
+    console.log("✅ game_sessions table ensured (exists or created).");
+  } catch (err) {
+    console.error("❌ Failed to ensure game_sessions table:", err);
+    throw err;
+  }
+}
+
+function rowToSession(r) {
+  return {
+    sessionId: r.session_id,
+    userAddress: r.user_address || null,
+    seed: r.seed === null || r.seed === undefined ? null : Number(r.seed),
+    createdAt: new Date(r.created_at).getTime(),
+    expiresAt: new Date(r.expires_at).getTime(),
+    used: !!r.used,
+    usedAt: r.used_at ? new Date(r.used_at).getTime() : null
+  };
+}
+
+// ----------------------- Lifecycle -----------------------
+// Expiry is computed by Postgres (NOW()) so every instance agrees on the clock.
+export async function createSession(pool, { userAddress = null, seed = null, ttlMs }) {
+  const sessionId = ethers.hexlify(ethers.randomBytes(16));
+  const addr = userAddress ? String(userAddress).trim().toLowerCase() : null;
+
+  const r = await pool.query(
+    `INSERT INTO game_sessions(session_id, user_address, seed, created_at, expires_at)
+     VALUES($1, $2, $3, NOW(), NOW() + ($4::bigint * INTERVAL '1 millisecond'))
+     RETURNING *`,
+    [sessionId, addr, seed === null ? null : String(seed), String(Math.floor(ttlMs))]
+  );
+  return rowToSession(r.rows[0]);
+}
+
+// Plain read (no locking) - used to fetch the seed before the expensive re-simulation.
+// consumeSession() is still the authority on whether the session can be used.
+export async function getSession(pool, sessionId) {
+  const r = await pool.query(`SELECT * FROM game_sessions WHERE session_id = $1 LIMIT 1`, [sessionId]);
+  return r.rowCount ? rowToSession(r.rows[0]) : null;
+}
+
+// Atomically mark a session as used. Accepts a pool or a checked-out client so the
+// caller can run it inside a transaction (rolled back if the replay is not stored).
+// Returns { session } on success or { error } describing why it could not be consumed.
+export async function consumeSession(client, sessionId) {
+  const r = await client.query(
+    `UPDATE game_sessions
+     SET used = TRUE, used_at = NOW()
+     WHERE session_id = $1 AND used = FALSE AND expires_at > NOW()
+     RETURNING *`,
+    [sessionId]
+  );
+  if (r.rowCount === 1) return { session: rowToSession(r.rows[0]) };
+
+  // Nothing updated: find out why (for a useful client error)
+  const check = await client.query(
+    `SELECT *, (EXTRACT(EPOCH FROM (NOW() - expires_at)) * 1000)::bigint AS expired_ms
+     FROM game_sessions WHERE session_id = $1 LIMIT 1`,
+    [sessionId]
+  );
+  if (check.rowCount === 0) return { error: "session not found" };
+  const row = check.rows[0];
+  if (row.used) return { error: "session already used" };
+  return { error: `session expired ${Number(row.expired_ms)}ms ago` };
+}
+
+export async function sweepExpiredSessions(pool) {
+  const r = await pool.query(`DELETE FROM game_sessions WHERE expires_at < NOW()`);
+  return r.rowCount;
+}
+
+// ----------------------- Exports -----------------------
+export default {
+  ensureGameSessionsTable,
+  createSession,
+  getSession,
+  consumeSession,
+  sweepExpiredSessions
+};
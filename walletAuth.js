@@ -0,0 +1,152 @@
+// walletAuth.js
+import { ethers } from "ethers";
+
+/**
+ * Wallet-signature authentication (Sign-In-With-Ethereum style nonce/challenge)
+ *
+ * Flow: client asks for a nonce for one action (and its target, e.g. a group id) -> signs the
+ * returned message with its wallet -> sends { address, nonce, signature } along with the
+ * request that needs a proven address. The message states the action, and a nonce only
+ * verifies for the action + target it was issued for, so a signature given for one thing
+ * cannot authorize another.
+ *
+ * Exports:
+ *  - AUTH_ACTIONS
+ *  - ensureAuthNoncesTable(pool)
+ *  - issueNonce(pool, address, { ttlMs, domain, action, target })
+ *  - verifyWalletSignature(pool, { address, nonce, signature, action, target })
+ *  - sweepExpiredNonces(pool)
+ */
+
+// action -> { target(raw) -> normalized target (omit for actions without one), statement(target) }
+const ACTIONS = {
+  session: { statement: () => "Sign in to start a game session." },
+  "group:create": { target: (t) => t.trim().replace(/\s+/g, " "), statement: (t) => `Create the player group "${t}".` },
+  "group:join": { target: (t) => t.trim().toUpperCase(), statement: (t) => `Join the player group with invite code ${t}.` },
+  "group:leave": { target: (t) => t.trim(), statement: (t) => `Leave player group #${t}.` },
+  "group:invite-code": { target: (t) => t.trim(), statement: (t) => `Replace the invite code of player group #${t}.` }
+};
+export const AUTH_ACTIONS = Object.keys(ACTIONS);
+
+// { target } (normalized, null for actions without one) or { error }
+function actionTarget(action, target) {
+  const spec = ACTIONS[action];
+  if (!spec) return { error: `action must be one of ${AUTH_ACTIONS.join(", ")}` };
+  if (!spec.target) return { target: null };
+  const t = spec.target(String(target ?? ""));
+  if (!t || t.length > 64) return { error: `action ${action} needs a target (1-64 characters)` };
+  return { target: t };
+}
+
+// ----------------------- Schema -----------------------
+export async function ensureAuthNoncesTable(pool) {
+  const sql = `
+CREATE TABLE IF NOT EXISTS auth_nonces (
+  nonce TEXT PRIMARY KEY,
+  address TEXT NOT NULL,
+  message TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_nonces_expires_at
+  ON auth_nonces (expires_at);
+
+-- what the nonce may authorize (safe migration; older nonces were session sign-ins)
+ALTER TABLE auth_nonces ADD COLUMN IF NOT EXISTS action TEXT NOT NULL DEFAULT 'session';
+ALTER TABLE auth_nonces ADD COLUMN IF NOT EXISTS target TEXT;
+  `;
+  try {
+    await pool.query(sql);
+    console.log("✅ auth_nonces table ensured (exists or created).");
+  } catch (err) {
+    console.error("❌ Failed to ensure auth_nonces table:", err);
+    throw err;
+  }
+}
+
+// ----------------------- Challenge -----------------------
+function buildMessage({ domain, address, statement, nonce, issuedAt, expiresAt }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    statement,
+    "",
+    `Version: 1`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expiresAt}`
+  ].join("\n");
+}
+
+// Throws on an invalid address / action / target
+export async function issueNonce(pool, address, { ttlMs = 5 * 60 * 1000, domain = "apster", action = "session", target = null } = {}) {
+  if (!ethers.isAddress(address)) throw new Error("invalid address");
+  const t = actionTarget(action, target);
+  if (t.error) throw new Error(t.error);
+
+  const nonce = ethers.hexlify(ethers.randomBytes(16)).slice(2);
+  const issued = new Date();
+  const expires = new Date(issued.getTime() + ttlMs);
+  const message = buildMessage({
+    domain,
+    address: ethers.getAddress(address), // checksummed, as wallets display it
+    statement: ACTIONS[action].statement(t.target),
+    nonce,
+    issuedAt: issued.toISOString(),
+    expiresAt: expires.toISOString()
+  });
+
+  await pool.query(
+    `INSERT INTO auth_nonces(nonce, address, message, created_at, expires_at, action, target)
+     VALUES($1, $2, $3, $4, $5, $6, $7)`,
+    [nonce, address.toLowerCase(), message, issued, expires, action, t.target]
+  );
+  return { nonce, message, action, target: t.target, expiresAt: expires.getTime() };
+}
+
+// Consumes the nonce (single use) and checks it was issued for this action + target and that
+// the signature recovers to `address`.
+// Returns { address } (lowercased) on success or { error } otherwise.
+export async function verifyWalletSignature(pool, { address, nonce, signature, action = "session", target = null }) {
+  if (!address || !nonce || !signature) return { error: "missing address, nonce or signature" };
+  if (!ethers.isAddress(address)) return { error: "invalid address" };
+  const addr = String(address).toLowerCase();
+  const t = actionTarget(action, target);
+  if (t.error) return { error: t.error };
+
+  const r = await pool.query(
+    `UPDATE auth_nonces SET used = TRUE
+     WHERE nonce = $1 AND address = $2 AND used = FALSE AND expires_at > NOW()
+       AND action = $3 AND target IS NOT DISTINCT FROM $4
+     RETURNING message`,
+    [String(nonce), addr, action, t.target]
+  );
+  if (r.rowCount === 0) return { error: `nonce not found, expired, already used or not issued for ${action}` };
+
+  let recovered;
+  try {
+    recovered = ethers.verifyMessage(r.rows[0].message, String(signature));
+  } catch (err) {
+    return { error: "malformed signature" };
+  }
+  if (recovered.toLowerCase() !== addr) return { error: "signature does not match address" };
+
+  return { address: addr };
+}
+
+export async function sweepExpiredNonces(pool) {
+  const r = await pool.query(`DELETE FROM auth_nonces WHERE expires_at < NOW()`);
+  return r.rowCount;
+}
+
+// ----------------------- Exports -----------------------
+export default {
+  AUTH_ACTIONS,
+  ensureAuthNoncesTable,
+  issueNonce,
+  verifyWalletSignature,
+  sweepExpiredNonces
+};